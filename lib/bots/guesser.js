@@ -0,0 +1,130 @@
+// lib/bots/guesser.js — giocatore automatico: tiene un insieme di candidati e fa la domanda che ne scarta di più
+const { matchKey } = require('../matching');
+const { getKnowledgeBase, classifyQuestion } = require('./knowledgeBase');
+
+/**
+ * How well each level plays:
+ *   pool      how many of the best questions it picks from at random (Infinity = any useful one)
+ *   threshold probability of the top candidate before it tries a guess
+ *   forget    chance of ignoring an answer
+ */
+const LEVELS = {
+  easy: { pool: Infinity, threshold: 0.5, forget: 0.25 },
+  medium: { pool: 4, threshold: 0.6, forget: 0.1 },
+  hard: { pool: 1, threshold: 0.85, forget: 0 }
+};
+
+// how much an answer keeps a candidate: matching value, opposite value (the Thinker may be wrong), unknown value
+const KEEP = { match: 1, mismatch: 0.02, unknown: 0.5 };
+
+/** A fresh candidate set over the whole knowledge base (optionally one category only). */
+function createBrain({ language = 'it', difficulty = 'medium', category = null } = {}) {
+  const base = getKnowledgeBase(language);
+  const entities = base ? base.entities : [];
+  const inCategory = category ? entities.filter(e => matchKey(e.category) === matchKey(category)) : [];
+  const pool = inCategory.length ? inCategory : entities;
+  return {
+    base,
+    level: LEVELS[difficulty] || LEVELS.medium,
+    weights: new Map(pool.map(e => [e, 1])),
+    asked: new Set(), // property ids already settled
+    wrong: new Set()  // names already guessed wrong
+  };
+}
+
+function scale(brain, keep) {
+  for (const [entity, w] of brain.weights) brain.weights.set(entity, w * keep(entity));
+}
+
+/** Learns from an answered question (anyone's): 'yes' | 'no' | 'unknown'. */
+function learnAnswer(brain, text, answer) {
+  const found = brain.base && classifyQuestion(brain.base, text);
+  if (!found) return;
+  // even "don't know" settles the property: asking again would get the same answer
+  if (found.type === 'property') brain.asked.add(found.id);
+  if (answer === 'unknown' || Math.random() < brain.level.forget) return;
+  const yes = (answer === 'yes') !== found.negated;
+  if (found.type === 'entity') {
+    // "è un gatto?" -> yes: only the cat is left; no: the cat is out
+    scale(brain, e => ((e === found.entity) === yes ? KEEP.match : KEEP.mismatch / 10));
+    return;
+  }
+  scale(brain, e => {
+    const value = e.props[found.id];
+    if (value === undefined) return KEEP.unknown;
+    return value === yes ? KEEP.match : KEEP.mismatch;
+  });
+}
+
+/** A wrong guess rules that candidate out. */
+function learnWrongGuess(brain, text) {
+  const key = matchKey(text);
+  brain.wrong.add(key);
+  for (const entity of brain.weights.keys()) {
+    if ([entity.name, ...entity.aliases].some(n => matchKey(n) === key)) brain.weights.delete(entity);
+  }
+}
+
+function entropy(values) {
+  const total = values.reduce((a, b) => a + b, 0);
+  if (total <= 0) return 0;
+  return -values.reduce((h, v) => (v > 0 ? h + (v / total) * Math.log2(v / total) : h), 0);
+}
+
+// expected entropy drop from asking about `id`; entities without a value split evenly
+function informationGain(brain, id) {
+  const before = Array.from(brain.weights.values());
+  let yesMass = 0;
+  let total = 0;
+  const ifYes = [];
+  const ifNo = [];
+  for (const [entity, w] of brain.weights) {
+    const value = entity.props[id];
+    total += w;
+    if (value === undefined) {
+      yesMass += w / 2;
+      ifYes.push(w * KEEP.unknown);
+      ifNo.push(w * KEEP.unknown);
+    } else {
+      if (value) yesMass += w;
+      ifYes.push(w * (value ? KEEP.match : KEEP.mismatch));
+      ifNo.push(w * (value ? KEEP.mismatch : KEEP.match));
+    }
+  }
+  if (total <= 0) return 0;
+  const pYes = yesMass / total;
+  return entropy(before) - (pYes * entropy(ifYes) + (1 - pYes) * entropy(ifNo));
+}
+
+/** Most likely candidate and its probability, or null when nothing is left. */
+function bestGuess(brain) {
+  let best = null;
+  let total = 0;
+  for (const [entity, w] of brain.weights) {
+    total += w;
+    if (!best || w > best.weight) best = { entity, weight: w };
+  }
+  if (!best || total <= 0) return null;
+  return { word: best.entity.name, confidence: best.weight / total };
+}
+
+/**
+ * What to do on the bot's turn: { type: 'guess', text } when confident enough
+ * (or nothing useful is left to ask), otherwise { type: 'ask', text }.
+ */
+function nextMove(brain) {
+  const guess = bestGuess(brain);
+  if (!guess) return null;
+  if (guess.confidence >= brain.level.threshold) return { type: 'guess', text: guess.word };
+  const options = brain.base.properties
+    .filter(p => p.question && !brain.asked.has(p.id))
+    .map(p => ({ p, gain: informationGain(brain, p.id) }))
+    .filter(o => o.gain > 0.01)
+    .sort((a, b) => b.gain - a.gain)
+    .slice(0, brain.level.pool);
+  if (options.length === 0) return { type: 'guess', text: guess.word };
+  const choice = options[Math.floor(Math.random() * options.length)];
+  return { type: 'ask', text: choice.p.question };
+}
+
+module.exports = { LEVELS, createBrain, learnAnswer, learnWrongGuess, bestGuess, nextMove };
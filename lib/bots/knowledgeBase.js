@@ -0,0 +1,101 @@
+// lib/bots/knowledgeBase.js — base di conoscenza locale (entità × proprietà sì/no) e classificatore delle domande
+const fs = require('fs');
+const path = require('path');
+const { words, stem, matchKey } = require('../matching');
+
+const KB_DIR = path.join(__dirname, '..', '..', 'kb');
+
+// words that carry no meaning for the classifier ("è un animale?" -> ['animal'])
+const STOPWORDS = new Set([
+  'il', 'lo', 'la', 'i', 'gli', 'le', 'l', 'un', 'uno', 'una', 'e', 'ed', 'o', 'di', 'del', 'della', 'dei', 'delle',
+  'a', 'al', 'alla', 'da', 'dal', 'in', 'nel', 'nella', 'con', 'su', 'per', 'si', 'ci', 'c', 'che', 'lui', 'lei', 'esso',
+  'essa', 'questo', 'questa', 'qualcosa', 'tipo', 'forse', 'ha', 'hanno', 'sono', 'puo', 'fa', 'usa', 'usato', 'usata'
+]);
+
+/** Stemmed meaningful tokens of a text. */
+function tokens(text) {
+  return words(text).filter(w => !STOPWORDS.has(w)).map(stem);
+}
+
+// index of `needle` as a contiguous run inside `haystack`, or -1
+function findRun(haystack, needle) {
+  if (needle.length === 0) return -1;
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((t, k) => haystack[i + k] === t)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Loads kb/<language>.json files:
+ *   { language, properties: { id: [phrases] }, questions: { id: text }, categories: { name: { id: bool } },
+ *     entities: [{ name, category, difficulty, aliases?, props: { id: bool } }] }
+ * `questions` is how a bot asks about each property.
+ * Category values are defaults under each entity's own props; a missing property means "don't know".
+ */
+function loadKnowledgeBases(dir) {
+  const bases = new Map(); // language -> base
+  for (const file of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+    if (!file.endsWith('.json')) continue;
+    const raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const properties = Object.entries(raw.properties).map(([id, phrases]) => ({
+      id,
+      patterns: phrases.map(tokens).filter(p => p.length > 0),
+      question: raw.questions[id]
+    }));
+    const entities = raw.entities.map(e => {
+      for (const id of Object.keys(e.props)) {
+        if (!raw.properties[id]) throw new Error(`kb/${file}: ${e.name} usa la proprietà sconosciuta ${id}`);
+      }
+      return {
+        name: e.name,
+        category: e.category,
+        difficulty: e.difficulty || 'medium',
+        aliases: e.aliases || [],
+        props: { ...(raw.categories[e.category] || {}), ...e.props },
+        names: [e.name, ...(e.aliases || [])].map(tokens)
+      };
+    });
+    bases.set(raw.language, { language: raw.language, properties, entities });
+  }
+  return bases;
+}
+
+let shipped = null;
+/** The base shipped in kb/ for `language` (loaded on first use), or null. */
+function getKnowledgeBase(language) {
+  if (!shipped) shipped = loadKnowledgeBases(KB_DIR);
+  return shipped.get(language) || null;
+}
+
+/**
+ * Works out what a yes/no question is about:
+ *   { type: 'entity', entity, negated } when it names an entity ("è un gatto?"),
+ *   { type: 'property', id, negated } when it matches a property phrase,
+ *   null when nothing matches.
+ * "non" before the match flips the question.
+ */
+function classifyQuestion(base, text) {
+  const list = tokens(text);
+  let best = null;
+  const consider = (candidate, pattern) => {
+    const at = findRun(list, pattern);
+    if (at === -1) return;
+    // longer matches win, then later ones: "vive in acqua?" is about water, not about being alive
+    if (best && (best.length > pattern.length || (best.length === pattern.length && best.at >= at))) return;
+    best = { ...candidate, length: pattern.length, at, negated: list.slice(0, at).includes('non') };
+  };
+  for (const entity of base.entities) entity.names.forEach(n => consider({ type: 'entity', entity }, n));
+  for (const prop of base.properties) prop.patterns.forEach(p => consider({ type: 'property', id: prop.id }, p));
+  if (!best) return null;
+  const { length, at, ...found } = best;
+  return found;
+}
+
+/** Same key for an entity and a typed word, so secrets can be looked up by name. */
+function findEntity(base, word) {
+  const key = matchKey(word);
+  return base.entities.find(e => [e.name, ...e.aliases].some(n => matchKey(n) === key)) || null;
+}
+
+module.exports = { tokens, loadKnowledgeBases, getKnowledgeBase, classifyQuestion, findEntity };
@@ -0,0 +1,53 @@
+// lib/bots/thinker.js — Pensatore automatico: sceglie la parola e risponde alle domande con una strategia registrata
+const { matchKey } = require('../matching');
+const { getKnowledgeBase, classifyQuestion, findEntity } = require('./knowledgeBase');
+
+const strategies = new Map();
+
+/**
+ * A strategy is an object with:
+ *   pickSecret({ language, category, difficulty, exclude }) -> { word, aliases, category, ... } | null
+ *   answer(secret, questionText) -> 'yes' | 'no' | 'unknown'
+ *   acceptsNearMiss(secret, guessText) -> boolean
+ * The secret is kept in the room snapshot, so it must be plain JSON.
+ */
+function registerThinkerStrategy(name, strategy) {
+  strategies.set(name, strategy);
+}
+function getThinkerStrategy(name) {
+  return strategies.get(name) || null;
+}
+function listThinkerStrategies() {
+  return Array.from(strategies.keys());
+}
+
+/* Default strategy: entities × yes/no properties from kb/<language>.json */
+function pickRandom(list) {
+  return list.length ? list[Math.floor(Math.random() * list.length)] : null;
+}
+
+registerThinkerStrategy('knowledge-base', {
+  pickSecret({ language = 'it', category, difficulty, exclude = [] } = {}) {
+    const base = getKnowledgeBase(language);
+    if (!base) return null;
+    const used = new Set(exclude.map(matchKey));
+    const all = base.entities.filter(e =>
+      (!category || matchKey(e.category) === matchKey(category)) && (!difficulty || e.difficulty === difficulty));
+    const entity = pickRandom(all.filter(e => !used.has(matchKey(e.name)))) || pickRandom(all);
+    if (!entity) return null;
+    return { word: entity.name, aliases: entity.aliases, category: entity.category, language };
+  },
+  answer(secret, text) {
+    const base = getKnowledgeBase(secret.language);
+    const entity = base && findEntity(base, secret.word);
+    const found = entity && classifyQuestion(base, text);
+    if (!found) return 'unknown';
+    const value = found.type === 'entity' ? found.entity === entity : entity.props[found.id];
+    if (value === undefined) return 'unknown';
+    return value !== found.negated ? 'yes' : 'no';
+  },
+  // a near miss is already within the room's typo tolerance
+  acceptsNearMiss: () => true
+});
+
+module.exports = { registerThinkerStrategy, getThinkerStrategy, listThinkerStrategies };
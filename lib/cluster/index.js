@@ -0,0 +1,28 @@
+// lib/cluster/index.js — stato condiviso tra le istanze del server
+//   CLUSTER=local (default) una sola istanza: tutto in memoria, nello stesso processo
+//   CLUSTER=redis più istanze dietro al load balancer, condividono REDIS_URL (default redis://localhost:6379)
+const os = require('os');
+const crypto = require('crypto');
+const { createLocalCluster } = require('./local');
+
+/**
+ * Every backend exposes the same promise-based API:
+ *   instanceId, distributed (true -> events for rooms owned elsewhere must be forwarded),
+ *   adapter -> socket.io adapter for cross-instance broadcasts OR null (default in-memory adapter),
+ *   connect(), close(),
+ *   acquireLease(key, ttlMs) -> bool (takes a free lease or renews ours), releaseLease(key), leaseOwner(key) -> instanceId OR null,
+ *   saveRoom(snapshot), loadRoom(code) -> snapshot OR null, deleteRoom(code), roomCodes() -> [code],
+ *   publishRooms(entries) (this instance's part of the lobby), listRooms(maxAgeMs) -> [entry]
+ */
+function createCluster(kind = process.env.CLUSTER || 'local') {
+  const instanceId = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+  if (kind === 'local') return createLocalCluster({ instanceId });
+  if (kind === 'redis') {
+    // required here: a single instance doesn't need the redis packages at all
+    const { createRedisCluster } = require('./redis');
+    return createRedisCluster({ instanceId, url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  }
+  throw new Error(`Unknown CLUSTER backend: ${kind}`);
+}
+
+module.exports = { createCluster };
@@ -0,0 +1,98 @@
+// lib/cluster/local.js — stand-in in memoria: le "istanze" condividono un hub nello stesso processo
+const { ClusterAdapter } = require('socket.io-adapter');
+
+function createHub() {
+  return { leases: new Map(), rooms: new Map(), lobby: new Map(), adapters: new Set() };
+}
+const defaultHub = createHub();
+
+// socket.io adapter of the instances on one hub: broadcasts, socketsJoin, fetchSockets and serverSideEmit
+// reach the others like through Redis (messages are handed over as they are, a tick later)
+class HubAdapter extends ClusterAdapter {
+  constructor(nsp, hub) {
+    super(nsp);
+    this.hub = hub;
+    hub.adapters.add(this);
+  }
+
+  peers() {
+    return Array.from(this.hub.adapters).filter(a => a !== this && a.nsp.name === this.nsp.name);
+  }
+
+  doPublish(message) {
+    for (const peer of this.peers()) setImmediate(() => peer.onMessage(message));
+    return Promise.resolve();
+  }
+
+  doPublishResponse(requesterUid, response) {
+    const requester = this.peers().find(a => a.uid === requesterUid);
+    if (requester) setImmediate(() => requester.onResponse(response));
+    return Promise.resolve();
+  }
+
+  serverCount() {
+    return Promise.resolve(this.peers().length + 1);
+  }
+
+  close() {
+    this.hub.adapters.delete(this);
+  }
+}
+// socket.io builds the adapter itself (new Adapter(nsp)): the hub comes with the class
+function hubAdapter(hub) {
+  return class extends HubAdapter {
+    constructor(nsp) {
+      super(nsp, hub);
+    }
+  };
+}
+
+// tests can give two instances the same hub to check leases and takeovers;
+// distributed ones also forward events and broadcasts to each other, like CLUSTER=redis
+function createLocalCluster({ instanceId, hub = defaultHub, distributed = false }) {
+  return {
+    instanceId,
+    distributed,
+    adapter: distributed ? hubAdapter(hub) : null,
+    async connect() {},
+    async acquireLease(key, ttlMs) {
+      const now = Date.now();
+      const lease = hub.leases.get(key);
+      if (lease && lease.owner !== instanceId && lease.expiresAt > now) return false;
+      hub.leases.set(key, { owner: instanceId, expiresAt: now + ttlMs });
+      return true;
+    },
+    async releaseLease(key) {
+      const lease = hub.leases.get(key);
+      if (lease && lease.owner === instanceId) hub.leases.delete(key);
+    },
+    async leaseOwner(key) {
+      const lease = hub.leases.get(key);
+      return lease && lease.expiresAt > Date.now() ? lease.owner : null;
+    },
+    async saveRoom(snapshot) {
+      hub.rooms.set(snapshot.code, snapshot);
+    },
+    async loadRoom(code) {
+      return hub.rooms.get(code) || null;
+    },
+    async deleteRoom(code) {
+      hub.rooms.delete(code);
+    },
+    async roomCodes() {
+      return Array.from(hub.rooms.keys());
+    },
+    async publishRooms(entries) {
+      hub.lobby.set(instanceId, { at: Date.now(), rooms: entries });
+    },
+    async listRooms(maxAgeMs) {
+      const since = Date.now() - maxAgeMs;
+      return Array.from(hub.lobby.values()).filter(p => p.at >= since).flatMap(p => p.rooms);
+    },
+    async close() {
+      hub.lobby.delete(instanceId);
+    }
+  };
+}
+
+module.exports = { createHub, createLocalCluster };
@@ -0,0 +1,70 @@
+// lib/cluster/redis.js — stato condiviso su Redis: lease, snapshot delle stanze, lobby e adapter di socket.io
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+const PREFIX = '20q:';
+// take the lease when it's free, or extend it when it's already ours (in one step)
+const ACQUIRE_SCRIPT = `
+local owner = redis.call('GET', KEYS[1])
+if owner == false or owner == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return 1
+end
+return 0`;
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0`;
+
+function createRedisCluster({ instanceId, url }) {
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+  for (const c of [client, subscriber]) c.on('error', err => console.error('[cluster] redis:', err.message));
+  const roomsKey = PREFIX + 'rooms';
+  const lobbyKey = PREFIX + 'lobby';
+
+  return {
+    instanceId,
+    distributed: true,
+    adapter: createAdapter(client, subscriber, { key: PREFIX + 'socket.io' }),
+    async connect() {
+      await Promise.all([client.connect(), subscriber.connect()]);
+    },
+    async acquireLease(key, ttlMs) {
+      return (await client.eval(ACQUIRE_SCRIPT, { keys: [PREFIX + key], arguments: [instanceId, String(ttlMs)] })) === 1;
+    },
+    async releaseLease(key) {
+      await client.eval(RELEASE_SCRIPT, { keys: [PREFIX + key], arguments: [instanceId] });
+    },
+    leaseOwner(key) {
+      return client.get(PREFIX + key);
+    },
+    async saveRoom(snapshot) {
+      await client.hSet(roomsKey, snapshot.code, JSON.stringify(snapshot));
+    },
+    async loadRoom(code) {
+      const raw = await client.hGet(roomsKey, code);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async deleteRoom(code) {
+      await client.hDel(roomsKey, code);
+    },
+    roomCodes() {
+      return client.hKeys(roomsKey);
+    },
+    async publishRooms(entries) {
+      await client.hSet(lobbyKey, instanceId, JSON.stringify({ at: Date.now(), rooms: entries }));
+    },
+    // a part not refreshed for maxAgeMs belongs to an instance that is gone
+    async listRooms(maxAgeMs) {
+      const since = Date.now() - maxAgeMs;
+      const parts = Object.values(await client.hGetAll(lobbyKey)).map(raw => JSON.parse(raw));
+      return parts.filter(p => p.at >= since).flatMap(p => p.rooms);
+    },
+    async close() {
+      await client.hDel(lobbyKey, instanceId);
+      await Promise.all([client.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+module.exports = { createRedisCluster };
@@ -0,0 +1,1408 @@
+// lib/engine.js — il motore del gioco: round, turni, tentativi finali e timer delle stanze,
+// senza socket né storage (l'orologio e la destinazione degli eventi arrivano da fuori)
+const crypto = require('crypto');
+const { DEFAULT_SETTINGS, validateSettings } = require('./settings');
+const { THINKER_POINTS, guessPoints, getStandings, getTeamStandings, isMatchOver } = require('./scoring');
+const { matchGuess } = require('./matching');
+const { REPLAY_SCHEMA } = require('./replay');
+const { DEFAULT_LANGUAGE, msg, translate } = require('./i18n');
+const {
+  TEAMS, teamOf, teamMembers, assignTeams, questionsUsed, budgetSpent, advanceTurn, guessSlot, slotTeam, slotMembers
+} = require('./teams');
+const { revealWord, wordHintsLeft, hintMessage, costMessages } = require('./hints');
+const { getThinkerStrategy } = require('./bots/thinker');
+const guesserBot = require('./bots/guesser');
+
+// quanto tempo resta il posto di un giocatore disconnesso prima di liberarlo
+const RECONNECT_GRACE_MS = 30000;
+// dopo un riavvio tutti devono riconnettersi: diamo più margine
+const RESTORE_GRACE_MS = 120000;
+// il Pensatore automatico "pensa" un attimo prima di rispondere, e lascia entrare gli altri prima di iniziare
+const BOT_ANSWER_DELAY_MS = 1500;
+const BOT_START_DELAY_MS = 5000;
+const BOT_TURN_DELAY_MS = 2500;
+// log and chat lines a room keeps (and saves): the oldest go first
+const MAX_LOG_ENTRIES = 200;
+const MAX_CHAT_ENTRIES = 100;
+// answers are 'yes' | 'no' | 'unknown'; older snapshots stored the Italian labels
+const LEGACY_ANSWERS = { 'Sì': 'yes', 'No': 'no', 'Non so': 'unknown' };
+
+// the real clock; tests pass one they move forward by hand
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: id => clearTimeout(id)
+};
+
+/** Appends to a log or chat list, dropping the oldest entries beyond `max`. */
+function appendCapped(list, entry, max) {
+  list.push(entry);
+  if (list.length > max) list.splice(0, list.length - max);
+}
+
+/* Helper utilities (plain reads of the room) */
+function getPlayers(room) {
+  return Array.from(room.players.entries()).map(([id, p]) => ({
+    id, name: p.name, role: p.role, queued: !!p.queued, connected: p.connected !== false, bot: !!p.bot, team: teamOf(room, id)
+  }));
+}
+function isBot(room, id) {
+  return !!room.players.get(id)?.bot;
+}
+// spectators watch only: they never ask, guess or think
+function isSpectator(room, id) {
+  return room.players.get(id)?.role === 'spectator';
+}
+function playingIds(room) {
+  return Array.from(room.players.keys()).filter(id => !isSpectator(room, id));
+}
+// seats taken by players, counting spectators already queued for the next round
+function countSeats(room) {
+  let n = 0;
+  for (const [, p] of room.players) if (p.role !== 'spectator' || p.queued) n++;
+  return n;
+}
+function isRoomFull(room) {
+  return room.settings.maxPlayers > 0 && countSeats(room) >= room.settings.maxPlayers;
+}
+function publicRoomState(room) {
+  return {
+    code: room.code,
+    status: room.status,
+    players: getPlayers(room),
+    hostId: room.hostId,
+    isPrivate: room.isPrivate,
+    hasPassword: !!room.passwordHash,
+    locked: room.locked,
+    title: room.title,
+    language: room.language,
+    wordCategory: room.wordCategory,
+    turnOrder: room.turnOrder,
+    maxQuestions: room.settings.maxQuestions,
+    settings: room.settings,
+    category: room.category,
+    standings: getStandings(room.players),
+    teamStandings: room.settings.teamMode ? getTeamStandings(room.players, TEAMS) : null
+  };
+}
+/**
+ * Room structure (Map)
+ * rooms: Map(code -> {
+ *   code,
+ *   status: 'waiting'|'playing'|'guessing',
+ *   players: Map(socketId -> { name, role: 'thinker'|'guesser'|'spectator', queued, timeouts, token, connected, graceTimer, score, thinkerRounds, bot, team }),
+ *     (queued spectators become guessers at the end of the round;
+ *      bot = { strategy, difficulty, fixedThinker } for bot players, whose id is 'bot-…' instead of a socket id;
+ *      a fixedThinker bot keeps the Thinker seat, the others rotate and ask like everyone else;
+ *      team = 0 | 1 in team mode, see lib/teams.js)
+ *   thinkerSocketId,
+ *   secretWord,
+ *   aliases: [string] other answers the Thinker accepts,
+ *   category: category of the secret word, announced to everyone (or null if unknown),
+ *   recentWords: [string] last words drawn from the packs, not suggested again soon,
+ *   botSecret: the bot Thinker's secret as returned by its strategy (or null),
+ *   botTimers: { start, answer, review, ask, 'guess:<id>' } pending bot actions,
+ *   botBrains: { botId: candidate set of a guesser bot } rebuilt from the questions when missing,
+ *   questions: [{id,by,text,answer}],
+ *   guesses: [{by,text,correct,phase}] (playing and guessing phase),
+ *   hints: [{id,kind,by,text,reveal,cost}] of the round (see lib/hints.js; cost: { questions, points } when bought, else null),
+ *   roundId: id of the current round's record (and of its replay),
+ *   events: [{ at, type, by, name, ... }] replay log of the current round (see lib/replay.js),
+ *   pendingGuess: { by, text, phase, deadline, held } near-miss waiting for the Thinker OR null
+ *     (held: slot -> ms left of the guess clocks stopped meanwhile),
+ *   reviewTimer: timeout id of pendingGuess,
+ *   turnOrder: [socketId,...] (EXCLUDES thinker),
+ *   turnIdx,
+ *   settings: { maxQuestions, askSeconds, answerSeconds, guessSeconds, guessAttempts, maxTimeouts, unknownCostsQuestion },
+ *   hostId: socketId of the host (creator by default): rules, kick/ban, lock, turn order,
+ *   isPrivate: true -> not listed in the lobby (join by code only),
+ *   title, language, wordCategory: how the room presents itself in the lobby (title and wordCategory may be null),
+ *   passwordHash: 'salt:hash' (scrypt) OR null,
+ *   locked: true -> no new joins (rejoins still allowed),
+ *   bans: [{ name, address }],
+ *   asked,
+ *   teamAsked: [n, n] questions of each team (they only matter with separate budgets),
+ *   lastAskers: { team: socketId } who asked last for each team (team mode rotates within the team),
+ *   guessAttempts: {slot: attemptsLeft} OR null (slot: socketId, or 'team:<n>' in team mode),
+ *   logs: [],
+ *   chat: [],
+ *   teamChats: [[], []] each team's private chat,
+ *   turnTimer: numeric timeout id (or null),
+ *   turnTimerInfo: { type: 'ask'|'answer', targetId, questionId, deadline } OR null,
+ *   guessDeadlines: {slot: timestamp},
+ *   paused: { by, at } while the host or the Thinker holds the round (deadlines are frozen at `at`) OR null,
+ *   lastQuestionId: id of current question waiting for answer,
+ *   roundStartedAt: timestamp of the current round (or null),
+ *   version: number of the last room:snapshot sent,
+ *   epoch: id of this run of the room (new at every restore: a restored version may be behind what clients saw)
+ * })
+ */
+
+/**
+ * The rooms of one server (rooms is the code -> room Map above) and everything
+ * that moves them on: rounds, turns, answers, guesses, timeouts, bots.
+ *   clock: { now(), setTimeout(fn, ms), clearTimeout(id) } — every deadline and timer goes through it,
+ *   sink: what the engine can't do by itself —
+ *     emit(to, event, payload)   to a room code or a socket id,
+ *     detach(socketId, code)     the socket stops receiving the room's broadcasts,
+ *     save(room)                 the room changed and is worth persisting,
+ *     roundRecorded(record)      a finished round for the history (see lib/replay.js),
+ *     roomUnloaded(code, deleted) the room stopped running here (deleted: it is gone for good),
+ *     lobbyChanged()             the public room list changed,
+ *     count(name, labels)        a counter of lib/metrics.js.
+ */
+function createEngine({ rooms, clock = systemClock, sink }) {
+  function createRoom(code, settings) {
+    rooms.set(code, {
+      code,
+      status: 'waiting',
+      players: new Map(),
+      thinkerSocketId: null,
+      secretWord: null,
+      aliases: [],
+      category: null,
+      recentWords: [],
+      botSecret: null,
+      botTimers: {},
+      botBrains: {},
+      version: 0,
+      epoch: crypto.randomBytes(4).toString('hex'),
+      snapshotPending: false,
+      questions: [],
+      guesses: [],
+      hints: [],
+      roundId: null,
+      events: [],
+      pendingGuess: null,
+      reviewTimer: null,
+      turnOrder: [],
+      turnIdx: 0,
+      settings,
+      hostId: null,
+      isPrivate: false,
+      passwordHash: null,
+      title: null,
+      language: DEFAULT_LANGUAGE,
+      wordCategory: null,
+      locked: false,
+      bans: [],
+      asked: 0,
+      teamAsked: TEAMS.map(() => 0),
+      lastAskers: {},
+      guessAttempts: null,
+      guessTimers: {}, // aggiunto
+      guessDeadlines: {},
+      logs: [],
+      chat: [],
+      teamChats: TEAMS.map(() => []),
+      turnTimer: null,
+      turnTimerInfo: null,
+      lastQuestionId: null,
+      roundStartedAt: null,
+      paused: null
+    });
+  }
+
+  // log entries are messages (lib/i18n.js): every client renders them in its player's language
+  function pushLog(room, message) {
+    appendCapped(room.logs, message, MAX_LOG_ENTRIES);
+    sink.emit(room.code, 'log:message', message);
+    roomChanged(room); // every logged event is a state change worth persisting
+  }
+  // one step of the round's replay; `by` is also saved as a name, the id won't mean anything later
+  function recordEvent(room, type, data = {}) {
+    if (type === 'timeout') sink.count('timeouts_total', { kind: data.kind });
+    if (!room.roundStartedAt) return;
+    const event = { at: clock.now(), type, ...data };
+    if (data.by) event.name = room.players.get(data.by)?.name || null;
+    room.events.push(event);
+  }
+  function emitRoomState(room) {
+    sink.emit(room.code, 'room:state', publicRoomState(room));
+    scheduleSnapshot(room);
+  }
+  function roomChanged(room) {
+    sink.save(room);
+    scheduleSnapshot(room);
+  }
+
+  /**
+   * room:snapshot — the full public state of the room, so a client can draw everything from one event.
+   * `version` grows with every snapshot of the room (older ones arriving late are to be dropped);
+   * it only compares within one `epoch`: after a restart or a takeover the room counts again from its last save;
+   * deadlines are absolute server timestamps, `serverTime` lets clients correct for their own clock.
+   */
+  const SNAPSHOT_SCHEMA = 1;
+  function roomSnapshot(room) {
+    const nameOf = id => room.players.get(id)?.name || null;
+    const info = room.turnTimerInfo;
+    const currentId = room.status === 'playing' ? room.turnOrder[room.turnIdx] || null : null;
+    const pending = room.status === 'playing' ? room.questions.find(q => q.id === room.lastQuestionId && !q.answer) : null;
+    return {
+      schema: SNAPSHOT_SCHEMA,
+      version: room.version,
+      epoch: room.epoch,
+      serverTime: clock.now(),
+      ...publicRoomState(room),
+      players: getPlayers(room).map(p => ({
+        ...p,
+        score: room.players.get(p.id).score || 0,
+        attemptsLeft: attemptsOf(room, p.id)
+      })),
+      teams: room.settings.teamMode
+        ? TEAMS.map(team => ({ team, members: teamMembers(room, team), asked: room.teamAsked[team] }))
+        : null,
+      thinkerId: room.thinkerSocketId,
+      turn: currentId ? { id: currentId, name: nameOf(currentId) } : null,
+      asked: room.asked,
+      questions: room.questions.map(q => ({
+        id: q.id, by: q.by, byName: nameOf(q.by), text: q.text, answer: q.answer, rejected: !!q.rejected, similarTo: q.similarTo || null
+      })),
+      guesses: room.guesses.map(g => ({ by: g.by, name: nameOf(g.by), text: g.text, correct: g.correct, phase: g.phase })),
+      hints: room.hints.map(h => ({ ...h, byName: nameOf(h.by) })),
+      pendingQuestionId: pending ? pending.id : null,
+      pendingGuess: room.pendingGuess
+        ? { by: room.pendingGuess.by, name: nameOf(room.pendingGuess.by), text: room.pendingGuess.text, deadline: room.pendingGuess.deadline }
+        : null,
+      // while paused the clock stands at paused.at: time left = deadline - paused.at
+      paused: room.paused ? { by: room.paused.by, name: nameOf(room.paused.by), at: room.paused.at } : null,
+      timers: {
+        turn: info ? { type: info.type, targetId: info.targetId, deadline: info.deadline } : null,
+        guesses: { ...room.guessDeadlines }
+      }
+    };
+  }
+  // final-phase attempts left to a player (their team's in team mode); null when they have none to play
+  function attemptsOf(room, id) {
+    if (!room.guessAttempts || id === room.thinkerSocketId) return null;
+    const slot = guessSlot(room, id);
+    return room.guessAttempts.hasOwnProperty(slot) ? room.guessAttempts[slot] : null;
+  }
+  // many changes happen in one go (answer -> counter -> next turn): they become a single snapshot
+  function scheduleSnapshot(room) {
+    if (room.snapshotPending) return;
+    room.snapshotPending = true;
+    clock.setTimeout(() => {
+      room.snapshotPending = false;
+      if (rooms.get(room.code) !== room) return;
+      room.version++;
+      sink.emit(room.code, 'room:snapshot', roomSnapshot(room));
+    }, 0);
+  }
+
+  /* Timer helpers - deadlines are absolute (server clock) and broadcast to the whole room with 'timer:start' */
+  // the room clock stands still while the round is paused
+  function roomNow(room) {
+    return room.paused ? room.paused.at : clock.now();
+  }
+  function timeLeft(room, deadline) {
+    return Math.max(0, deadline - roomNow(room));
+  }
+  // type: 'ask' | 'answer' | 'guess' | 'review'; targetId: who has to act before the deadline
+  function emitTimer(room, type, targetId, deadline) {
+    sink.emit(room.code, 'timer:start', { type, targetId, deadline, serverTime: clock.now(), paused: !!room.paused });
+  }
+  function clearTurnTimer(room) {
+    if (!room) return;
+    if (room.turnTimer) {
+      clock.clearTimeout(room.turnTimer);
+      room.turnTimer = null;
+    }
+    room.turnTimerInfo = null;
+  }
+  // duration is optional: used to re-arm a timer with its remaining time (e.g. after a rejoin)
+  function startAskTimer(room, duration) {
+    clearTurnTimer(room);
+    if (!room || room.status !== 'playing') return;
+    if (!room.turnOrder || room.turnOrder.length === 0) return;
+    if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
+    if (duration === undefined) duration = room.settings.askSeconds * 1000;
+    const currentId = room.turnOrder[room.turnIdx];
+    room.turnTimerInfo = { type: 'ask', targetId: currentId, questionId: null, deadline: roomNow(room) + duration };
+    // while paused only the deadline is set: resumeRound arms the timeout
+    if (!room.paused) room.turnTimer = clock.setTimeout(() => handleAskTimeout(room, currentId), duration);
+    emitTimer(room, 'ask', currentId, room.turnTimerInfo.deadline);
+    scheduleSnapshot(room);
+    scheduleBotTurn(room, currentId, duration);
+  }
+  function startAnswerTimer(room, questionId, duration) {
+    clearTurnTimer(room);
+    if (!room || room.status !== 'playing') return;
+    const thinkerId = room.thinkerSocketId;
+    if (!thinkerId) return;
+    if (duration === undefined) duration = room.settings.answerSeconds * 1000;
+    room.turnTimerInfo = { type: 'answer', targetId: thinkerId, questionId, deadline: roomNow(room) + duration };
+    if (!room.paused) room.turnTimer = clock.setTimeout(() => handleAnswerTimeout(room, thinkerId, questionId), duration);
+    emitTimer(room, 'answer', thinkerId, room.turnTimerInfo.deadline);
+    scheduleSnapshot(room);
+  }
+
+  function handleAskTimeout(room, playerId) {
+    if (!room || room.status !== 'playing') return;
+    // ensure current is same player
+    const current = room.turnOrder[room.turnIdx];
+    if (current !== playerId) return; // out of date timer
+    const player = room.players.get(playerId);
+    // safety: if player missing, remove and adjust
+    if (!player) {
+      // remove from turnOrder and continue
+      room.turnOrder = room.turnOrder.filter(id => id !== playerId);
+      if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
+      if (room.turnOrder.length > 0) {
+        sink.emit(room.code, 'turn:now', { socketId: room.turnOrder[room.turnIdx], name: room.players.get(room.turnOrder[room.turnIdx])?.name });
+        startAskTimer(room);
+      } else {
+        clearTurnTimer(room);
+      }
+      return;
+    }
+
+    // increment their timeout counter
+    player.timeouts = (player.timeouts || 0) + 1;
+    recordEvent(room, 'timeout', { kind: 'ask', by: playerId });
+
+    // if reached the limit -> expel
+    const maxTimeouts = room.settings.maxTimeouts;
+    if (maxTimeouts > 0 && player.timeouts >= maxTimeouts) {
+      // removePlayer takes them out of turnOrder and hands the turn to the next player
+      detachSocket(room, playerId);
+      removePlayer(room, playerId, msg('log.expelledIdle', { name: player.name, max: maxTimeouts }), 'timeouts');
+      return;
+    }
+
+    // skip their turn: increment question counter and advance
+    countQuestion(room, playerId);
+    pushLog(room, msg('log.askTimeout', { name: player.name }));
+
+    if (budgetSpent(room)) {
+      clearTurnTimer(room);
+      startGuessPhase(room.code);
+      return;
+    }
+
+    // advance to next player
+    if (room.turnOrder.length > 0) {
+      advanceTurn(room);
+      const nextId = room.turnOrder[room.turnIdx];
+      sink.emit(room.code, 'turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
+      startAskTimer(room);
+    } else {
+      clearTurnTimer(room);
+    }
+  }
+
+  function handleAnswerTimeout(room, thinkerId, questionId) {
+    if (!room || room.status !== 'playing') return;
+    // verify pending question
+    const q = room.questions.find(x => x.id === questionId);
+    if (q && !q.answer) {
+      recordEvent(room, 'timeout', { kind: 'answer', by: thinkerId, questionId });
+      q.answer = 'unknown';
+      sink.emit(room.code, 'question:update', q);
+      pushLog(room, msg('log.answerTimeout'));
+      if (room.settings.unknownCostsQuestion) countQuestion(room, q.by);
+    }
+    // increment thinker's timeouts
+    const thinker = room.players.get(thinkerId);
+    if (thinker) {
+      thinker.timeouts = (thinker.timeouts || 0) + 1;
+      const maxTimeouts = room.settings.maxTimeouts;
+      if (maxTimeouts > 0 && thinker.timeouts >= maxTimeouts) {
+        // expel thinker -> the round is void, someone else takes over
+        detachSocket(room, thinkerId);
+        removePlayer(room, thinkerId, msg('log.thinkerExpelledIdle', { name: thinker.name, max: maxTimeouts }), 'timeouts');
+        return;
+      }
+    }
+
+    // advance to next player
+    if (room.turnOrder.length > 0) {
+      advanceTurn(room);
+      const nextId = room.turnOrder[room.turnIdx];
+      sink.emit(room.code, 'turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
+      startAskTimer(room);
+    } else {
+      clearTurnTimer(room);
+    }
+
+    if (budgetSpent(room)) startGuessPhase(room.code);
+  }
+
+  /* Round/guess helpers */
+  // a question (or a lost turn, or n for a bought hint) comes off the budget: the room's, and the asker's team's
+  function countQuestion(room, playerId, n = 1) {
+    room.asked += n;
+    const team = teamOf(room, playerId);
+    if (team !== null) room.teamAsked[team] += n;
+    sink.emit(room.code, 'counter:update', { asked: room.asked, max: room.settings.maxQuestions, teamAsked: room.teamAsked });
+  }
+  // a player's name, or the team's for a team slot (a message, see lib/i18n.js)
+  function slotName(room, slot) {
+    const team = slotTeam(slot);
+    return team === null ? room.players.get(slot)?.name : msg('team.' + team);
+  }
+  function roundWonMessage(room, playerId) {
+    const name = room.players.get(playerId).name;
+    const team = teamOf(room, playerId);
+    return team === null ? msg('round.won', { name }) : msg('round.teamWon', { name, team: msg('team.' + team) });
+  }
+
+  function startGuessPhase(code) {
+    const room = rooms.get(code);
+    if (!room) return;
+    room.status = 'guessing';
+    room.guessAttempts = {};
+    clearGuessTimers(room);
+    clearTurnTimer(room);
+    // one set of attempts per player, or per team in team mode
+    for (const id of playingIds(room)) {
+      if (id !== room.thinkerSocketId) room.guessAttempts[guessSlot(room, id)] = room.settings.guessAttempts;
+    }
+    pushLog(room, msg('log.guessPhase', { attempts: room.settings.guessAttempts }));
+    emitRoomState(room);
+    startGuessTimers(room); // lancia timer individuali
+  }
+
+
+  // isVoid: the round could not finish (Thinker gone) -> no points, nobody wins
+  function endRoundAndRotate(code, message, winnerId = null, isVoid = false) {
+    const room = rooms.get(code);
+    if (!room) return;
+    room.paused = null;
+    clearTurnTimer(room);
+    const points = awardRoundPoints(room, winnerId);
+    if (room.roundStartedAt) {
+      sink.count('rounds_total', { result: isVoid ? 'void' : winnerId && winnerId !== room.thinkerSocketId ? 'guessed' : 'thinker' });
+    }
+    // in team mode a guesser wins for their whole team
+    const winnerTeam = winnerId && winnerId !== room.thinkerSocketId ? teamOf(room, winnerId) : null;
+    recordEvent(room, 'round:ended', { message, winnerId, winnerName: room.players.get(winnerId)?.name || null, winnerTeam });
+    const replayToken = recordRound(room, message, winnerId, winnerTeam);
+    sink.emit(code, 'round:ended', {
+      roundId: room.roundStartedAt ? room.roundId : null,
+      replayToken,
+      message,
+      secretWord: room.secretWord,
+      questions: room.questions,
+      guesses: room.guesses,
+      hints: room.hints,
+      winnerId,
+      winnerTeam,
+      void: isVoid,
+      points,
+      standings: getStandings(room.players),
+      teamStandings: room.settings.teamMode ? getTeamStandings(room.players, TEAMS) : null
+    });
+    const thinker = room.players.get(room.thinkerSocketId);
+    if (thinker) thinker.thinkerRounds = (thinker.thinkerRounds || 0) + 1;
+    rotateThinker(room);
+    promoteQueued(room);
+    room.status = 'waiting';
+    room.secretWord = null;
+    room.aliases = [];
+    room.category = null;
+    room.botSecret = null;
+    room.botBrains = {};
+    clearBotTimers(room);
+    cancelGuessReview(room);
+    room.questions = [];
+    room.guesses = [];
+    room.hints = [];
+    room.events = [];
+    room.asked = 0;
+    room.teamAsked = TEAMS.map(() => 0);
+    room.guessAttempts = null;
+    clearGuessTimers(room);
+    room.lastQuestionId = null;
+    room.roundStartedAt = null;
+    clearTurnTimer(room);
+    pushLog(room, message);
+    if (isMatchOver(room.players, room.settings.matchRounds)) endMatch(room);
+    emitRoomState(room);
+    sink.lobbyChanged();
+    scheduleBotRound(room);
+  }
+
+  /* Applies a guess that has been judged (automatically or by the Thinker) */
+  function applyGuess(room, playerId, guess, correct) {
+    const code = room.code;
+    const player = room.players.get(playerId);
+    // the Thinker knows the word: a guess never wins for them
+    if (!player || playerId === room.thinkerSocketId) return;
+    if (!correct) botsLearn(room, brain => guesserBot.learnWrongGuess(brain, guess));
+
+    if (room.status === 'guessing' && room.guessAttempts) {
+      // stop timer del giocatore (o della sua squadra)
+      const slot = guessSlot(room, playerId);
+      if (room.guessTimers[slot]) clock.clearTimeout(room.guessTimers[slot]);
+      delete room.guessTimers[slot];
+      delete room.guessDeadlines[slot];
+
+      room.guessAttempts[slot]--;
+      room.guesses.push({ by: playerId, text: guess, correct, phase: 'guessing' });
+      recordEvent(room, 'guess', { by: playerId, text: guess, correct, phase: 'guessing' });
+      pushLog(room, msg('log.guessAttempt', { name: player.name, text: guess, left: room.guessAttempts[slot] }));
+      sink.emit(code, 'guess:new', { by: playerId, name: player.name, text: guess, correct });
+
+      if (correct) return endRoundAndRotate(code, roundWonMessage(room, playerId), playerId);
+      applyWrongGuessPenalty(room, player);
+
+      if (room.guessAttempts[slot] > 0) startSingleGuessTimer(room, slot);
+      checkGuessPhaseEnd(room);
+      return;
+    }
+
+    // playing-phase guess
+    room.guesses.push({ by: playerId, text: guess, correct, phase: 'playing' });
+    recordEvent(room, 'guess', { by: playerId, text: guess, correct, phase: 'playing' });
+    sink.emit(code, 'guess:new', { by: playerId, name: player.name, text: guess, correct });
+    if (correct) return endRoundAndRotate(code, roundWonMessage(room, playerId), playerId);
+    applyWrongGuessPenalty(room, player);
+
+    // wrong guess counts as used question
+    countQuestion(room, playerId);
+    if (budgetSpent(room)) startGuessPhase(code);
+    else if (room.turnOrder.length > 0) {
+      // advance turn
+      advanceTurn(room);
+      const nextId = room.turnOrder[room.turnIdx];
+      sink.emit(code, 'turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
+      startAskTimer(room);
+    }
+  }
+
+  /* Near-miss guesses wait for the Thinker (with their own timer: silence means rejected) */
+  function requestGuessReview(room, playerId, text, duration = room.settings.reviewSeconds * 1000) {
+    const player = room.players.get(playerId);
+    // the guess-phase clock of this player (or team) stops while the Thinker decides
+    const slot = guessSlot(room, playerId);
+    if (room.guessTimers[slot]) clock.clearTimeout(room.guessTimers[slot]);
+    delete room.guessTimers[slot];
+    delete room.guessDeadlines[slot];
+
+    room.pendingGuess = { by: playerId, text, phase: room.status, deadline: null, held: holdGuessTimers(room) };
+    startReviewTimer(room, duration);
+    recordEvent(room, 'guess:review', { by: playerId, text });
+    pushLog(room, msg('log.guessReview', { name: player.name, text }));
+    sink.emit(room.code, 'guess:review', { by: playerId, name: player.name, text, duration, deadline: room.pendingGuess.deadline });
+    scheduleBotReview(room);
+  }
+  function startReviewTimer(room, duration) {
+    if (room.reviewTimer) clock.clearTimeout(room.reviewTimer);
+    room.reviewTimer = null;
+    room.pendingGuess.deadline = roomNow(room) + duration;
+    if (!room.paused) room.reviewTimer = clock.setTimeout(() => resolveGuessReview(room, false, true), duration);
+    emitTimer(room, 'review', room.thinkerSocketId, room.pendingGuess.deadline);
+  }
+
+  // nobody else can guess while the Thinker decides: the other guess clocks wait with the time they had left
+  function holdGuessTimers(room) {
+    const held = {};
+    for (const slot in room.guessDeadlines) held[slot] = timeLeft(room, room.guessDeadlines[slot]);
+    for (const slot in room.guessTimers) clock.clearTimeout(room.guessTimers[slot]);
+    room.guessTimers = {};
+    room.guessDeadlines = {};
+    return held;
+  }
+  function releaseGuessTimers(room, held = {}) {
+    if (room.status !== 'guessing') return;
+    for (const slot in held) {
+      if (room.guessAttempts && room.guessAttempts[slot] > 0) startSingleGuessTimer(room, slot, held[slot]);
+    }
+  }
+
+  function resolveGuessReview(room, accepted, timedOut = false) {
+    const pending = room.pendingGuess;
+    if (!pending) return;
+    cancelGuessReview(room);
+    releaseGuessTimers(room, pending.held);
+    const name = room.players.get(pending.by)?.name;
+    sink.emit(room.code, 'guess:reviewed', { by: pending.by, name, text: pending.text, accepted });
+    if (timedOut) recordEvent(room, 'timeout', { kind: 'review', by: room.thinkerSocketId });
+    else recordEvent(room, 'guess:reviewed', { by: room.thinkerSocketId, accepted });
+    if (timedOut) pushLog(room, msg('log.reviewTimeout', { text: pending.text }));
+    else pushLog(room, msg(accepted ? 'log.reviewAccepted' : 'log.reviewRejected', { text: pending.text }));
+
+    // the round may have moved on (or the player left) while waiting
+    if (room.status !== pending.phase || !room.players.has(pending.by)) return checkGuessPhaseEnd(room);
+    applyGuess(room, pending.by, pending.text, accepted);
+  }
+
+  function cancelGuessReview(room) {
+    if (room.reviewTimer) clock.clearTimeout(room.reviewTimer);
+    room.reviewTimer = null;
+    room.pendingGuess = null;
+  }
+
+  /* Scoring helpers */
+  // the Thinker wins only when the guessers run out of attempts (checkGuessPhaseEnd), never with a guess
+  function awardRoundPoints(room, winnerId) {
+    const winner = winnerId && room.players.get(winnerId);
+    if (!winner) return null;
+    const attemptsLeft = room.guessAttempts ? Object.values(room.guessAttempts).some(x => x > 0) : true;
+    if (winnerId === room.thinkerSocketId && attemptsLeft) return null;
+    const points = winnerId === room.thinkerSocketId
+      ? THINKER_POINTS
+      : guessPoints(questionsUsed(room, winnerId), room.settings.maxQuestions);
+    const team = winnerId === room.thinkerSocketId ? null : teamOf(room, winnerId);
+    if (team === null) {
+      winner.score = (winner.score || 0) + points;
+      pushLog(room, msg('log.points', { name: winner.name, points }));
+      return { id: winnerId, name: winner.name, points, team: null };
+    }
+    // a team wins together: every member gets the points
+    for (const id of teamMembers(room, team)) {
+      const member = room.players.get(id);
+      member.score = (member.score || 0) + points;
+    }
+    pushLog(room, msg('log.teamPoints', { team: msg('team.' + team), points }));
+    return { id: winnerId, name: winner.name, points, team };
+  }
+  function applyWrongGuessPenalty(room, player) {
+    const penalty = room.settings.wrongGuessPenalty;
+    if (!player || !penalty) return;
+    player.score = (player.score || 0) - penalty;
+    pushLog(room, msg('log.penalty', { name: player.name, points: penalty }));
+    emitRoomState(room);
+  }
+  function endMatch(room) {
+    const standings = getStandings(room.players);
+    const best = standings[0].score;
+    const winners = standings.filter(s => s.score === best);
+    sink.emit(room.code, 'match:ended', { standings, winnerIds: winners.map(w => w.id) });
+    pushLog(room, msg('log.matchOver', { names: winners.map(w => w.name), points: best }));
+    // start a fresh match with the same players
+    for (const [, p] of room.players) {
+      p.score = 0;
+      p.thinkerRounds = 0;
+    }
+  }
+
+  function rotateThinker(room) {
+    if (!room) return;
+    let nextThinkerId = null;
+    if (room.players.get(room.thinkerSocketId)?.bot?.fixedThinker) {
+      // a bot Thinker keeps the seat until it's removed
+      nextThinkerId = room.thinkerSocketId;
+    } else if (room.settings.matchRounds > 0) {
+      // match: whoever has been Thinker the fewest times, looking from the seat after the current one
+      const ids = playingIds(room);
+      const start = ids.indexOf(room.thinkerSocketId) + 1;
+      const ordered = ids.slice(start).concat(ids.slice(0, start));
+      const roundsOf = id => room.players.get(id).thinkerRounds || 0;
+      nextThinkerId = ordered.reduce((best, id) => (roundsOf(id) < roundsOf(best) ? id : best), ordered[0]);
+    } else if (room.turnOrder.length > 0) {
+      // ensure turnIdx valid
+      if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
+      nextThinkerId = room.turnOrder[room.turnIdx];
+    } else {
+      nextThinkerId = playingIds(room).find(id => id !== room.thinkerSocketId) || room.thinkerSocketId;
+    }
+    // the Thinker left and nobody else plays: a queued spectator takes the seat, otherwise it stays
+    // empty until someone plays (fillThinkerSeat) — a spectator who only watches never gets it
+    if (!room.players.has(nextThinkerId)) {
+      nextThinkerId = Array.from(room.players.keys()).find(id => room.players.get(id).queued) || null;
+    }
+    for (const [id, p] of room.players) {
+      if (id === nextThinkerId) {
+        p.role = 'thinker';
+        p.queued = false;
+      } else if (p.role !== 'spectator') {
+        p.role = 'guesser';
+      }
+    }
+    room.thinkerSocketId = nextThinkerId;
+    // rebuild turnOrder excluding new thinker
+    room.turnOrder = playingIds(room).filter(id => id !== room.thinkerSocketId);
+    room.turnIdx = 0;
+  }
+
+  /* Queued spectators take their seat between rounds */
+  function promoteQueued(room) {
+    for (const [id, p] of room.players) {
+      if (p.role !== 'spectator' || !p.queued) continue;
+      p.role = 'guesser';
+      p.queued = false;
+      room.turnOrder.push(id);
+      pushLog(room, msg('log.nowPlaying', { name: p.name }));
+    }
+    assignTeams(room);
+  }
+
+  /* When a player leaves while round in progress, adjust turnOrder & maybe advance */
+  function handlePlayerExitDuringRound(room, socketId) {
+    if (!room) return;
+    const idx = room.turnOrder.indexOf(socketId);
+    if (idx !== -1) {
+      room.turnOrder.splice(idx, 1);
+      if (room.status === 'playing') {
+        if (room.turnOrder.length === 0) {
+          clearTurnTimer(room);
+          return;
+        }
+        if (idx < room.turnIdx) {
+          room.turnIdx = Math.max(0, room.turnIdx - 1);
+        }
+        if (idx === room.turnIdx) {
+          if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
+          const nextId = room.turnOrder[room.turnIdx];
+          sink.emit(room.code, 'turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
+          startAskTimer(room);
+        }
+      }
+    }
+  }
+
+  /* Removes a player for good (explicit leave, kick, inactivity, or reconnect grace expired) */
+  // reason: 'left' | 'timeouts' | 'kicked' | 'banned' | 'disconnected' (for the replay)
+  function removePlayer(room, socketId, message, reason = 'left') {
+    const player = room.players.get(socketId);
+    if (!player) return;
+    cancelGraceTimer(player);
+    recordEvent(room, 'player:removed', { by: socketId, reason });
+    const slot = guessSlot(room, socketId); // before the seat (and its team) is gone
+    room.players.delete(socketId);
+    pushLog(room, message);
+
+    // the room only goes away with its last (human) player
+    const humans = Array.from(room.players.keys()).filter(id => !isBot(room, id));
+    if (humans.length === 0) {
+      destroyRoom(room.code);
+      sink.lobbyChanged();
+      return;
+    }
+    if (room.hostId === socketId) {
+      room.hostId = humans[0];
+      pushLog(room, msg('log.newHost', { name: room.players.get(room.hostId).name }));
+    }
+
+    if (socketId === room.thinkerSocketId) {
+      handThinkerOver(room);
+    } else {
+      // remove from turnOrder and possibly advance
+      handlePlayerExitDuringRound(room, socketId);
+      if (room.pendingGuess && room.pendingGuess.by === socketId) {
+        const { held } = room.pendingGuess;
+        cancelGuessReview(room);
+        releaseGuessTimers(room, held);
+      }
+      // a team keeps its attempts as long as someone is left to use them
+      if (room.guessAttempts && room.guessAttempts.hasOwnProperty(slot) && slotMembers(room, slot).length === 0) {
+        if (room.guessTimers[slot]) clock.clearTimeout(room.guessTimers[slot]);
+        delete room.guessTimers[slot];
+        delete room.guessDeadlines[slot];
+        delete room.guessAttempts[slot];
+        checkGuessPhaseEnd(room);
+      }
+    }
+    emitRoomState(room);
+    sink.lobbyChanged();
+  }
+
+  /* The Thinker is gone: a running round is void, and the role passes to the next player */
+  function handThinkerOver(room) {
+    if (room.status !== 'waiting') {
+      endRoundAndRotate(room.code, msg('round.thinkerLeft'), null, true);
+    } else {
+      rotateThinker(room);
+    }
+    const thinker = room.players.get(room.thinkerSocketId);
+    if (thinker) pushLog(room, msg('log.newThinker', { name: thinker.name }));
+  }
+
+  /* The seat was left empty (only spectators stayed): whoever plays first between rounds takes it */
+  function fillThinkerSeat(room) {
+    if (room.thinkerSocketId || room.status !== 'waiting') return;
+    rotateThinker(room);
+    const thinker = room.players.get(room.thinkerSocketId);
+    if (thinker) pushLog(room, msg('log.newThinker', { name: thinker.name }));
+  }
+
+  /* Takes a removed player's socket out of the room's broadcasts */
+  function detachSocket(room, socketId) {
+    sink.detach(socketId, room.code);
+    sink.emit(socketId, 'room:kicked', { code: room.code, banned: false });
+  }
+
+  function destroyRoom(code) {
+    if (rooms.has(code)) unloadRoom(code, true);
+  }
+  // stops everything the room runs on this instance (it is either gone or owned by another instance now)
+  function unloadRoom(code, deleted = false) {
+    const room = rooms.get(code);
+    clearTurnTimer(room);
+    clearGuessTimers(room);
+    cancelGuessReview(room);
+    clearBotTimers(room);
+    for (const [, p] of room.players) cancelGraceTimer(p);
+    rooms.delete(code);
+    sink.roomUnloaded(code, deleted);
+  }
+
+  // timers are saved as time left, so the downtime doesn't eat into anyone's turn
+  function serializeRoom(room) {
+    const now = roomNow(room);
+    const info = room.turnTimerInfo;
+    const guessTimers = {};
+    for (const id in room.guessDeadlines) guessTimers[id] = Math.max(0, room.guessDeadlines[id] - now);
+    return {
+      code: room.code,
+      status: room.status,
+      settings: room.settings,
+      hostId: room.hostId,
+      isPrivate: room.isPrivate,
+      passwordHash: room.passwordHash,
+      title: room.title,
+      language: room.language,
+      wordCategory: room.wordCategory,
+      locked: room.locked,
+      bans: room.bans,
+      players: Array.from(room.players, ([id, p]) => [id, {
+        name: p.name, role: p.role, team: p.team, queued: p.queued, timeouts: p.timeouts, token: p.token, score: p.score, thinkerRounds: p.thinkerRounds, bot: p.bot,
+        address: p.address
+      }]),
+      thinkerSocketId: room.thinkerSocketId,
+      secretWord: room.secretWord,
+      aliases: room.aliases,
+      category: room.category,
+      recentWords: room.recentWords,
+      botSecret: room.botSecret,
+      questions: room.questions,
+      guesses: room.guesses,
+      hints: room.hints,
+      roundId: room.roundId,
+      events: room.events,
+      pendingGuess: room.pendingGuess && { ...room.pendingGuess, remaining: Math.max(0, room.pendingGuess.deadline - now) },
+      turnOrder: room.turnOrder,
+      turnIdx: room.turnIdx,
+      asked: room.asked,
+      teamAsked: room.teamAsked,
+      lastAskers: room.lastAskers,
+      guessAttempts: room.guessAttempts,
+      teamChats: room.teamChats,
+      logs: room.logs,
+      chat: room.chat,
+      lastQuestionId: room.lastQuestionId,
+      roundStartedAt: room.roundStartedAt,
+      version: room.version,
+      turnTimer: info ? { type: info.type, targetId: info.targetId, questionId: info.questionId, remaining: Math.max(0, info.deadline - now) } : null,
+      guessTimers,
+      paused: room.paused,
+      savedAt: clock.now()
+    };
+  }
+
+  function restoreRoom(snap, message = msg('log.restored')) {
+    // settings saved by an older version may miss (or have extra) keys
+    const checked = validateSettings(snap.settings);
+    createRoom(snap.code, checked.settings || { ...DEFAULT_SETTINGS });
+    const room = rooms.get(snap.code);
+    for (const key of ['status', 'hostId', 'thinkerSocketId', 'secretWord', 'aliases', 'category', 'recentWords', 'botSecret', 'questions', 'guesses', 'hints', 'roundId', 'events', 'turnOrder',
+      'turnIdx', 'asked', 'teamAsked', 'lastAskers', 'guessAttempts', 'teamChats', 'logs', 'chat', 'lastQuestionId', 'roundStartedAt', 'version',
+      'isPrivate', 'passwordHash', 'title', 'language', 'wordCategory', 'locked', 'bans']) {
+      if (snap[key] === undefined) continue; // snapshot from an older version
+      room[key] = snap[key];
+    }
+    // snapshots of older versions kept every line
+    room.logs = room.logs.slice(-MAX_LOG_ENTRIES);
+    room.chat = room.chat.slice(-MAX_CHAT_ENTRIES);
+    room.teamChats = room.teamChats.map(chat => chat.slice(-MAX_CHAT_ENTRIES));
+    // answers saved before they became enums
+    for (const q of room.questions) q.answer = LEGACY_ANSWERS[q.answer] || q.answer;
+    for (const e of room.events) if (e.type === 'question:answered') e.answer = LEGACY_ANSWERS[e.answer] || e.answer;
+    // every old socket is gone: seats wait for room:rejoin (bots have no socket and stay)
+    room.players = new Map(snap.players.map(([id, p]) => [id, { ...p, connected: !!p.bot, graceTimer: null }]));
+    for (const [id, p] of room.players) if (!p.bot) startGraceTimer(room, id, RESTORE_GRACE_MS);
+    // a paused round stays paused: the timers below only get their deadlines back
+    if (snap.paused && room.status !== 'waiting') room.paused = { by: snap.paused.by, at: clock.now() };
+
+    if (room.status === 'playing') {
+      const t = snap.turnTimer;
+      if (t && t.type === 'answer') startAnswerTimer(room, t.questionId, t.remaining);
+      else startAskTimer(room, t && t.type === 'ask' ? t.remaining : undefined);
+    } else if (room.status === 'guessing') {
+      for (const id in snap.guessTimers) {
+        if (room.guessAttempts && room.guessAttempts[id] > 0) startSingleGuessTimer(room, id, snap.guessTimers[id]);
+      }
+    }
+    if (snap.pendingGuess) {
+      room.pendingGuess = { by: snap.pendingGuess.by, text: snap.pendingGuess.text, phase: snap.pendingGuess.phase, held: snap.pendingGuess.held || {} };
+      startReviewTimer(room, snap.pendingGuess.remaining);
+      scheduleBotReview(room);
+    }
+    // a bot Thinker picks up where it was: start, or answer the question left pending
+    const pending = room.questions.find(q => q.id === room.lastQuestionId && !q.answer);
+    if (room.status === 'playing' && pending) scheduleBotAnswer(room, pending);
+    scheduleBotRound(room);
+    pushLog(room, message);
+  }
+
+  // returns the replay token of a private round (null for the others): it opens that replay only, unlike a seat's token
+  function recordRound(room, message, winnerId, winnerTeam = null) {
+    if (!room.roundStartedAt) return null; // no round in progress
+    const nameOf = id => room.players.get(id)?.name || null;
+    // private and password rooms stay out of the public history
+    const isPrivate = room.isPrivate || !!room.passwordHash;
+    const replayToken = isPrivate ? crypto.randomBytes(16).toString('hex') : null;
+    sink.roundRecorded({
+      schema: REPLAY_SCHEMA,
+      id: room.roundId,
+      code: room.code,
+      isPrivate,
+      replayToken,
+      message,
+      secretWord: room.secretWord,
+      category: room.category,
+      thinkerName: nameOf(room.thinkerSocketId),
+      questions: room.questions.map(q => ({ ...q, byName: nameOf(q.by) })),
+      guesses: room.guesses.map(g => ({ ...g, name: nameOf(g.by) })),
+      hints: room.hints.map(h => ({ ...h, byName: nameOf(h.by) })),
+      winnerId,
+      winnerName: nameOf(winnerId),
+      winnerTeam,
+      startedAt: room.roundStartedAt,
+      endedAt: clock.now(),
+      events: room.events
+    });
+    return replayToken;
+  }
+
+  function startGraceTimer(room, socketId, duration = RECONNECT_GRACE_MS) {
+    const player = room.players.get(socketId);
+    player.graceTimer = clock.setTimeout(() => {
+      player.graceTimer = null;
+      removePlayer(room, socketId, msg('log.graceExpired', { name: player.name }), 'disconnected');
+    }, duration);
+  }
+
+  // the timer comes from the injected clock, so it has to be cancelled there too
+  function cancelGraceTimer(player) {
+    if (player.graceTimer) clock.clearTimeout(player.graceTimer);
+    player.graceTimer = null;
+  }
+
+  /* Rebinds every reference to a player's old socket id to the new one (after a rejoin) */
+  function rebindPlayer(room, oldId, newId) {
+    // rebuild the Map so the seat keeps its position (rotateThinker relies on insertion order)
+    room.players = new Map(Array.from(room.players, ([id, p]) => [id === oldId ? newId : id, p]));
+    if (room.thinkerSocketId === oldId) room.thinkerSocketId = newId;
+    if (room.hostId === oldId) room.hostId = newId;
+    room.turnOrder = room.turnOrder.map(id => (id === oldId ? newId : id));
+    room.questions.forEach(q => { if (q.by === oldId) q.by = newId; });
+    room.guesses.forEach(g => { if (g.by === oldId) g.by = newId; });
+    room.hints.forEach(h => { if (h.by === oldId) h.by = newId; });
+    if (room.pendingGuess && room.pendingGuess.by === oldId) room.pendingGuess.by = newId;
+    const held = room.pendingGuess && room.pendingGuess.held;
+    if (held && held.hasOwnProperty(oldId)) {
+      held[newId] = held[oldId];
+      delete held[oldId];
+    }
+    for (const team in room.lastAskers) if (room.lastAskers[team] === oldId) room.lastAskers[team] = newId;
+    if (room.guessAttempts && room.guessAttempts.hasOwnProperty(oldId)) {
+      room.guessAttempts[newId] = room.guessAttempts[oldId];
+      delete room.guessAttempts[oldId];
+    }
+
+    // timers capture the socket id they were started for: re-arm them with the time left
+    if (room.guessDeadlines[oldId]) {
+      const left = timeLeft(room, room.guessDeadlines[oldId]);
+      clock.clearTimeout(room.guessTimers[oldId]);
+      delete room.guessTimers[oldId];
+      delete room.guessDeadlines[oldId];
+      if (room.guessAttempts && room.guessAttempts[newId] > 0) startSingleGuessTimer(room, newId, left);
+    }
+    const info = room.turnTimerInfo;
+    if (info && info.targetId === oldId) {
+      const left = timeLeft(room, info.deadline);
+      if (info.type === 'ask') startAskTimer(room, left);
+      else startAnswerTimer(room, info.questionId, left);
+    }
+  }
+
+  /* Full round state for a rejoining socket (log/chat histories are sent separately) */
+  function resumeState(room, socketId) {
+    const nameOf = id => room.players.get(id)?.name;
+    const currentId = room.status === 'playing' ? room.turnOrder[room.turnIdx] : null;
+    const pending = room.questions.find(q => q.id === room.lastQuestionId && !q.answer);
+    return {
+      ...publicRoomState(room),
+      asked: room.asked,
+      questions: room.questions.map(q => ({ ...q, byName: nameOf(q.by) })),
+      guesses: room.guesses.map(g => ({ ...g, name: nameOf(g.by) })),
+      hints: room.hints.map(h => ({ ...h, byName: nameOf(h.by) })),
+      turn: currentId ? { socketId: currentId, name: nameOf(currentId) } : null,
+      pendingQuestion: pending ? { ...pending, byName: nameOf(pending.by) } : null,
+      guessAttemptsLeft: room.guessAttempts ? (attemptsOf(room, socketId) || 0) : null,
+      pendingGuess: room.pendingGuess ? { by: room.pendingGuess.by, name: nameOf(room.pendingGuess.by), text: room.pendingGuess.text } : null,
+      secretWord: socketId === room.thinkerSocketId ? room.secretWord : null
+    };
+  }
+
+  /* --- Timer individuale per fase guessing --- */
+  function startGuessTimers(room) {
+    if (!room || !room.guessAttempts) return;
+    for (const id in room.guessAttempts) {
+      startSingleGuessTimer(room, id);
+    }
+  }
+
+  // slot: a player, or a whole team in team mode (see lib/teams.js)
+  function startSingleGuessTimer(room, slot, duration = room.settings.guessSeconds * 1000) {
+    if (room.guessTimers[slot]) clock.clearTimeout(room.guessTimers[slot]);
+    delete room.guessTimers[slot];
+    room.guessDeadlines[slot] = roomNow(room) + duration;
+    emitTimer(room, 'guess', slot, room.guessDeadlines[slot]);
+    if (!room.paused) room.guessTimers[slot] = clock.setTimeout(() => {
+      delete room.guessDeadlines[slot];
+      const name = slotName(room, slot);
+      const team = slotTeam(slot);
+      recordEvent(room, 'timeout', team === null ? { kind: 'guess', by: slot } : { kind: 'guess', team, name });
+      room.guessAttempts[slot]--;
+      pushLog(room, msg('log.guessTimeout', { name, left: room.guessAttempts[slot] }));
+      // name: a player's name, or a team's message (lib/i18n.js): each client renders it in its own language
+      sink.emit(room.code, 'guess:new', { by: slot, name, text: null, timeout: true, correct: false });
+      delete room.guessTimers[slot];
+      // like after a wrong guess, the clock starts again for the next attempt
+      if (room.guessAttempts[slot] > 0) startSingleGuessTimer(room, slot);
+      checkGuessPhaseEnd(room);
+    }, duration);
+    scheduleSnapshot(room);
+    scheduleBotGuess(room, slot, duration);
+  }
+  function clearGuessTimers(room) {
+    for (const id in room.guessTimers) clock.clearTimeout(room.guessTimers[id]);
+    room.guessTimers = {};
+    room.guessDeadlines = {};
+  }
+
+  function checkGuessPhaseEnd(room) {
+    if (!room.guessAttempts || room.pendingGuess) return;
+    const allOut = Object.values(room.guessAttempts).every(x => x <= 0);
+    if (allOut) endRoundAndRotate(room.code, msg('round.noAttemptsLeft'), room.thinkerSocketId);
+  }
+
+  /* --- Pausa: tutti i timer della stanza si fermano e ripartono dal tempo che restava --- */
+  function pauseRound(room, playerId) {
+    room.paused = { by: playerId, at: clock.now() };
+    if (room.turnTimer) clock.clearTimeout(room.turnTimer);
+    room.turnTimer = null;
+    for (const id in room.guessTimers) clock.clearTimeout(room.guessTimers[id]);
+    room.guessTimers = {};
+    if (room.reviewTimer) clock.clearTimeout(room.reviewTimer);
+    room.reviewTimer = null;
+    clearBotTimers(room);
+    sink.emit(room.code, 'timer:paused', { paused: true, by: playerId, at: room.paused.at, serverTime: clock.now() });
+  }
+  function resumeRound(room) {
+    const info = room.turnTimerInfo;
+    const turnLeft = info && timeLeft(room, info.deadline);
+    const guessLeft = {};
+    for (const id in room.guessDeadlines) guessLeft[id] = timeLeft(room, room.guessDeadlines[id]);
+    const reviewLeft = room.pendingGuess && timeLeft(room, room.pendingGuess.deadline);
+    room.paused = null;
+    sink.emit(room.code, 'timer:paused', { paused: false, serverTime: clock.now() });
+
+    // the start helpers re-arm the timeouts (and the bots) with the new deadlines
+    if (info && info.type === 'ask') startAskTimer(room, turnLeft);
+    else if (info) startAnswerTimer(room, info.questionId, turnLeft);
+    for (const id in guessLeft) startSingleGuessTimer(room, id, guessLeft[id]);
+    if (room.pendingGuess) {
+      startReviewTimer(room, reviewLeft);
+      scheduleBotReview(room);
+    }
+    const pending = room.questions.find(q => q.id === room.lastQuestionId && !q.answer);
+    if (room.status === 'playing' && pending) scheduleBotAnswer(room, pending);
+  }
+
+  /* --- Round: start, domande e risposte (stesso percorso per giocatori e bot) --- */
+  function startRound(room, { secretWord, aliases, category }) {
+    const code = room.code;
+    room.secretWord = secretWord;
+    room.aliases = aliases;
+    room.category = category;
+    room.botBrains = {};
+
+    room.status = 'playing';
+    room.questions = [];
+    room.guesses = [];
+    room.hints = [];
+    room.asked = 0;
+    room.teamAsked = TEAMS.map(() => 0);
+    room.lastAskers = {};
+    room.guessAttempts = null;
+    assignTeams(room);
+    room.turnOrder = playingIds(room).filter(id => id !== room.thinkerSocketId);
+    room.turnIdx = 0;
+    room.lastQuestionId = null;
+    room.roundStartedAt = clock.now();
+    room.roundId = crypto.randomBytes(6).toString('hex');
+    room.events = [];
+    recordEvent(room, 'round:started', { by: room.thinkerSocketId, category: room.category });
+    // reset timeouts counts
+    for (const [,p] of room.players) p.timeouts = 0;
+
+    sink.emit(code, 'round:started', { maxQuestions: room.settings.maxQuestions, category: room.category, players: getPlayers(room) });
+    sink.emit(room.thinkerSocketId, 'round:secret', { secretWord: room.secretWord, aliases: room.aliases });
+
+    if (room.turnOrder.length > 0) {
+      const nextId = room.turnOrder[room.turnIdx];
+      sink.emit(code, 'turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
+      startAskTimer(room);
+    }
+
+    pushLog(room, room.category ? msg('log.roundStartedCategory', { category: room.category }) : msg('log.roundStarted'));
+    sink.lobbyChanged();
+    emitRoomState(room);
+  }
+
+  // similarTo: id of an earlier question this one repeats (the asker was warned and asked anyway)
+  function askQuestion(room, playerId, text, similarTo = null) {
+    // reset asker's timeout count
+    const asker = room.players.get(playerId);
+    if (asker) asker.timeouts = 0;
+
+    // stop ask timer
+    clearTurnTimer(room);
+
+    const q = { id: room.questions.length + 1, by: playerId, text, answer: null, similarTo };
+    room.questions.push(q);
+    room.lastQuestionId = q.id;
+    recordEvent(room, 'question:asked', { by: playerId, id: q.id, text });
+    sink.emit(room.code, 'question:new', { ...q, byName: asker?.name });
+    roomChanged(room);
+
+    // start answer timer for thinker
+    startAnswerTimer(room, q.id);
+    scheduleBotAnswer(room, q);
+  }
+
+  /* The Thinker sends back a question that can't be answered yes/no: it costs nothing and the asker tries again */
+  function rejectQuestion(room, q) {
+    const thinker = room.players.get(room.thinkerSocketId);
+    if (thinker) thinker.timeouts = 0;
+    clearTurnTimer(room);
+
+    q.rejected = true;
+    room.lastQuestionId = null;
+    recordEvent(room, 'question:rejected', { by: room.thinkerSocketId, id: q.id });
+    sink.emit(room.code, 'question:update', q);
+    pushLog(room, msg('log.questionRejected', { name: room.players.get(q.by)?.name, text: q.text }));
+
+    // the turn hasn't moved yet: the same asker gets a fresh clock
+    if (room.turnOrder.length > 0) {
+      const nextId = room.turnOrder[room.turnIdx];
+      sink.emit(room.code, 'turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
+      startAskTimer(room);
+    }
+  }
+
+  function answerQuestion(room, q, answer) {
+    const code = room.code;
+    // reset thinker's timeout count
+    const thinker = room.players.get(room.thinkerSocketId);
+    if (thinker) thinker.timeouts = 0;
+
+    // stop answer timer
+    clearTurnTimer(room);
+
+    q.answer = answer;
+    recordEvent(room, 'question:answered', { by: room.thinkerSocketId, id: q.id, answer });
+    sink.emit(code, 'question:update', q);
+    botsLearn(room, brain => guesserBot.learnAnswer(brain, q.text, answer));
+    roomChanged(room);
+    if (answer !== 'unknown' || room.settings.unknownCostsQuestion) countQuestion(room, q.by);
+
+    // advance to next player
+    if (room.turnOrder.length > 0) {
+      advanceTurn(room);
+      const nextId = room.turnOrder[room.turnIdx];
+      sink.emit(code, 'turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
+      startAskTimer(room);
+    }
+
+    if (budgetSpent(room) && room.status === 'playing') startGuessPhase(code);
+  }
+
+  // returns an error { code, message } when the guess can't be taken right now (message: see lib/i18n.js)
+  function submitGuess(room, playerId, text) {
+    const player = room.players.get(playerId);
+    if (playerId === room.thinkerSocketId) return { code: 'THINKER_GUESS', message: msg('error.thinkerGuess') };
+    if (room.status === 'guessing' && room.guessAttempts) {
+      // Se il giocatore (o la sua squadra) non ha tentativi, ignora (già finiti)
+      const slot = guessSlot(room, playerId);
+      if (!room.guessAttempts.hasOwnProperty(slot) || room.guessAttempts[slot] <= 0) return null;
+    }
+    if (room.paused) return { code: 'PAUSED', message: msg('error.paused') };
+    if (room.pendingGuess) return { code: 'GUESS_PENDING', message: msg('error.guessPending') };
+
+    // reset player's timeout count (any action resets)
+    player.timeouts = 0;
+
+    const result = matchGuess(text, [room.secretWord, ...room.aliases], room.settings.fuzzyDistance);
+    if (result === 'near') requestGuessReview(room, playerId, text);
+    else applyGuess(room, playerId, text, result === 'exact');
+    return null;
+  }
+
+  /* --- Indizi: il Pensatore li dà, gli indovini li comprano con domande o punti (vedi lib/hints.js) --- */
+  function addHint(room, playerId, kind, text, cost = null) {
+    const hint = {
+      id: room.hints.length + 1,
+      kind,
+      by: playerId,
+      text: kind === 'text' ? text : null,
+      reveal: kind === 'text' ? null : revealWord(kind, room.secretWord),
+      cost
+    };
+    room.hints.push(hint);
+    const name = room.players.get(playerId)?.name;
+    recordEvent(room, 'hint', { by: playerId, id: hint.id, kind, text: hint.text, reveal: hint.reveal, cost });
+    sink.count('hints_total', { kind, source: cost ? 'bought' : 'thinker' });
+    sink.emit(room.code, 'hint:new', { ...hint, byName: name });
+    pushLog(room, cost
+      ? msg('log.hintBought', { name, cost: costMessages(cost), hint: hintMessage(hint) })
+      : msg('log.hint', { name, hint: hintMessage(hint) }));
+  }
+  // word hints are revealed once per round (kind undefined: none left)
+  function hintError(room, kind) {
+    if (room.hints.length >= room.settings.maxHints) return { code: 'HINT_LIMIT', message: msg('error.hintLimit') };
+    if (kind !== 'text' && !wordHintsLeft(room.hints).includes(kind)) return { code: 'HINT_REVEALED', message: msg('error.hintRevealed') };
+    return null;
+  }
+
+  // the Thinker's hint: free text, or a word hint; returns an error { code, message } like submitGuess
+  function giveHint(room, kind, text) {
+    if (kind === 'text' && !text) return { code: 'HINT_TEXT', message: msg('error.hintText') };
+    const error = hintError(room, kind);
+    if (error) return error;
+    const thinker = room.players.get(room.thinkerSocketId);
+    if (thinker) thinker.timeouts = 0;
+    addHint(room, room.thinkerSocketId, kind, text);
+    return null;
+  }
+
+  // a guesser on turn buys a word hint (the next one, without `kind`): questions off their budget, points off their score
+  function buyHint(room, playerId, kind = wordHintsLeft(room.hints)[0]) {
+    const { hintQuestionCost: questions, hintPointCost: points, maxQuestions } = room.settings;
+    if (!room.settings.buyHints) return { code: 'HINTS_NOT_FOR_SALE', message: msg('error.hintsNotForSale') };
+    const error = hintError(room, kind);
+    if (error) return error;
+    if (questionsUsed(room, playerId) + questions > maxQuestions) return { code: 'HINT_QUESTIONS', message: msg('error.hintQuestions', { questions }) };
+    const player = room.players.get(playerId);
+    if ((player.score || 0) < points) return { code: 'HINT_POINTS', message: msg('error.hintPoints', { points }) };
+
+    player.timeouts = 0;
+    player.score = (player.score || 0) - points;
+    if (questions) countQuestion(room, playerId, questions);
+    addHint(room, playerId, kind, null, { questions, points });
+    emitRoomState(room);
+    // the turn stays with the buyer, unless the hint took the last questions
+    if (budgetSpent(room)) startGuessPhase(room.code);
+    return null;
+  }
+
+  /* --- Bot: usano gli stessi percorsi (e timer) dei giocatori umani --- */
+  function botLater(room, key, fn, delay) {
+    clock.clearTimeout(room.botTimers[key]);
+    room.botTimers[key] = clock.setTimeout(() => {
+      delete room.botTimers[key];
+      // a paused round gets its bot actions back from resumeRound
+      if (rooms.get(room.code) === room && !room.paused) fn();
+    }, delay);
+  }
+  function clearBotTimers(room) {
+    for (const key in room.botTimers) clock.clearTimeout(room.botTimers[key]);
+    room.botTimers = {};
+  }
+  function thinkerStrategy(room) {
+    const thinker = room.players.get(room.thinkerSocketId);
+    return thinker && thinker.bot ? getThinkerStrategy(thinker.bot.strategy) : null;
+  }
+
+  // candidate set of a guesser bot; after a restart (or a late seat) it is rebuilt from the round so far
+  function brainFor(room, botId) {
+    if (!room.botBrains[botId]) {
+      const brain = guesserBot.createBrain({ language: room.language, difficulty: room.players.get(botId).bot.difficulty, category: room.category });
+      for (const q of room.questions) if (q.answer) guesserBot.learnAnswer(brain, q.text, q.answer);
+      for (const g of room.guesses) if (!g.correct) guesserBot.learnWrongGuess(brain, g.text);
+      room.botBrains[botId] = brain;
+    }
+    return room.botBrains[botId];
+  }
+  function botsLearn(room, learn) {
+    for (const id in room.botBrains) learn(room.botBrains[id]);
+  }
+
+  // on its turn a guesser bot asks the most useful question, or guesses when it's confident enough
+  function scheduleBotTurn(room, botId, duration) {
+    if (!isBot(room, botId)) return;
+    botLater(room, 'ask', () => {
+      if (room.status !== 'playing' || room.turnOrder[room.turnIdx] !== botId || !room.players.has(botId)) return;
+      const move = guesserBot.nextMove(brainFor(room, botId));
+      // a question is plain text like a player's: written in the room's language
+      const ask = message => askQuestion(room, botId, translate(room.language, message));
+      if (!move) return ask(msg('bot.vagueQuestion')); // no candidates left: better a vague question than a lost turn
+      if (move.type === 'ask') return askQuestion(room, botId, move.text);
+      // while another guess is being reviewed the bot asks about its candidate instead
+      if (room.pendingGuess) return ask(msg('bot.isIt', { name: move.text }));
+      submitGuess(room, botId, move.text);
+    }, Math.min(BOT_TURN_DELAY_MS, duration / 2));
+  }
+  // final phase: each attempt goes to the best candidate left (wrong ones are ruled out);
+  // a team's attempts are played by its first bot, if it has one
+  function scheduleBotGuess(room, slot, duration) {
+    const botId = slotMembers(room, slot).find(id => isBot(room, id));
+    if (!botId) return;
+    botLater(room, 'guess:' + slot, () => {
+      if (room.status !== 'guessing' || !room.guessAttempts || !(room.guessAttempts[slot] > 0) || !room.players.has(botId)) return;
+      // another guess is being reviewed: try again in a moment
+      if (room.pendingGuess) return scheduleBotGuess(room, slot, BOT_TURN_DELAY_MS * 2);
+      const best = guesserBot.bestGuess(brainFor(room, botId));
+      submitGuess(room, botId, best ? best.word : '?');
+    }, Math.min(BOT_TURN_DELAY_MS, duration / 2));
+  }
+
+  // a bot Thinker starts the round by itself once someone can ask
+  function scheduleBotRound(room) {
+    if (room.status !== 'waiting' || !thinkerStrategy(room)) return;
+    if (!playingIds(room).some(id => id !== room.thinkerSocketId)) return;
+    botLater(room, 'start', () => {
+      const strategy = thinkerStrategy(room);
+      if (room.status !== 'waiting' || !strategy) return;
+      if (!playingIds(room).some(id => id !== room.thinkerSocketId)) return;
+      const secret = strategy.pickSecret({ language: room.language, exclude: room.recentWords });
+      if (!secret) return pushLog(room, msg('log.botNoWords'));
+      room.recentWords = [...room.recentWords, secret.word].slice(-50);
+      startRound(room, { secretWord: secret.word, aliases: secret.aliases || [], category: secret.category || null });
+      room.botSecret = secret;
+    }, BOT_START_DELAY_MS);
+  }
+  function scheduleBotAnswer(room, q) {
+    if (!thinkerStrategy(room)) return;
+    botLater(room, 'answer', () => {
+      const strategy = thinkerStrategy(room);
+      if (!strategy || room.status !== 'playing' || q.answer || !room.botSecret) return;
+      answerQuestion(room, q, strategy.answer(room.botSecret, q.text));
+    }, BOT_ANSWER_DELAY_MS);
+  }
+  function scheduleBotReview(room) {
+    if (!thinkerStrategy(room)) return;
+    botLater(room, 'review', () => {
+      const strategy = thinkerStrategy(room);
+      if (!strategy || !room.pendingGuess || !room.botSecret) return;
+      resolveGuessReview(room, strategy.acceptsNearMiss(room.botSecret, room.pendingGuess.text));
+    }, BOT_ANSWER_DELAY_MS);
+  }
+  return {
+    createRoom, pushLog, recordEvent, emitRoomState, roomChanged, roomSnapshot, attemptsOf, timeLeft,
+    startAskTimer, startAnswerTimer, handleAskTimeout, handleAnswerTimeout, startGuessPhase, endRoundAndRotate,
+    rotateThinker, fillThinkerSeat, promoteQueued, removePlayer, detachSocket, destroyRoom, unloadRoom, serializeRoom, restoreRoom,
+    startGraceTimer, cancelGraceTimer, rebindPlayer, resumeState, checkGuessPhaseEnd, pauseRound, resumeRound, startRound,
+    askQuestion, rejectQuestion, answerQuestion, submitGuess, giveHint, buyHint, resolveGuessReview, scheduleBotRound
+  };
+}
+
+module.exports = {
+  RECONNECT_GRACE_MS, MAX_CHAT_ENTRIES, systemClock, createEngine, appendCapped,
+  playingIds, countSeats, isRoomFull
+};
@@ -0,0 +1,23 @@
+// lib/hints.js — indizi del round: testo libero del Pensatore, oppure lettere e iniziale della parola calcolate dal server
+// (room.settings: maxHints per round; con buyHints gli indovini li comprano per hintQuestionCost domande e hintPointCost punti)
+// hintMessage and costMessages are shared with the page (public/messages.js)
+const { hintMessage, costMessages } = require('../public/messages');
+
+// hints the server works out from the secret word (each one only once per round)
+const WORD_HINTS = ['letters', 'firstLetter'];
+// 'text' is written by the Thinker
+const HINT_KINDS = ['text', ...WORD_HINTS];
+
+/** What a word hint reveals: { letters, words } for 'letters', { letter } for 'firstLetter'. */
+function revealWord(kind, word) {
+  const words = String(word).trim().split(/\s+/);
+  if (kind === 'letters') return { letters: (words.join('').match(/\p{L}|\p{N}/gu) || []).length, words: words.length };
+  return { letter: words[0].charAt(0).toUpperCase() };
+}
+
+/** The word hints still to reveal this round, in the order a bought hint takes them. */
+function wordHintsLeft(hints) {
+  return WORD_HINTS.filter(kind => !hints.some(h => h.kind === kind));
+}
+
+module.exports = { WORD_HINTS, HINT_KINDS, revealWord, wordHintsLeft, hintMessage, costMessages };
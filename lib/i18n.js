@@ -0,0 +1,38 @@
+// lib/i18n.js — messaggi per i client: il server manda chiave + parametri, ogni giocatore li legge nella sua lingua
+// (i cataloghi in public/locales/<lingua>.json sono gli stessi che scarica la pagina)
+
+const LANGUAGES = ['it', 'en'];
+const DEFAULT_LANGUAGE = 'it';
+
+// the message shape (and the answers) are shared with the page
+const { ANSWERS, msg } = require('../public/messages');
+
+const catalogs = Object.fromEntries(LANGUAGES.map(l => [l, require(`../public/locales/${l}.json`)]));
+
+function isMessage(value) {
+  return !!value && typeof value === 'object' && typeof value.key === 'string';
+}
+
+function pickLanguage(language) {
+  return LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Renders a message in `language`: "{name}" placeholders take the params,
+ * messages nested in params are rendered too, lists are joined with commas.
+ * Plain strings (logs saved before the catalogs) come back as they are.
+ */
+function translate(language, message) {
+  if (!isMessage(message)) return String(message ?? '');
+  const catalog = catalogs[pickLanguage(language)];
+  const template = catalog[message.key] ?? catalogs[DEFAULT_LANGUAGE][message.key] ?? message.key;
+  const params = message.params || {};
+  return template.replace(/\{(\w+)\}/g, (_, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(v => translate(language, v)).join(', ');
+    return translate(language, value);
+  });
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, ANSWERS, msg, isMessage, pickLanguage, translate };
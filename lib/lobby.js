@@ -0,0 +1,56 @@
+// lib/lobby.js — l'elenco pubblico delle stanze: filtri, partita rapida e aggiornamenti incrementali
+
+// socket.io room of the sockets looking at the lobby: only they get its updates
+const LOBBY = 'lobby';
+
+// a free seat anyone can take right now: no password, not locked, not full
+function isOpen(entry) {
+  return !entry.hasPassword && !entry.locked && !(entry.maxPlayers > 0 && entry.players >= entry.maxPlayers);
+}
+// between rounds everyone plays at once; mid-round only where late joiners get a seat
+function playsNow(entry) {
+  return entry.status === 'waiting' || entry.joinsMidRound;
+}
+const sameText = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+/**
+ * Whether a lobby entry passes the filters (all optional):
+ *   { text (in the code or the title), language, category, open (isOpen and playsNow) }.
+ */
+function matchesFilters(entry, { text, language, category, open } = {}) {
+  if (text) {
+    const wanted = text.toLowerCase();
+    if (!entry.code.toLowerCase().includes(wanted) && !String(entry.title || '').toLowerCase().includes(wanted)) return false;
+  }
+  if (language && entry.language !== language) return false;
+  if (category && !sameText(entry.category, category)) return false;
+  if (open && !(isOpen(entry) && playsNow(entry))) return false;
+  return true;
+}
+
+/**
+ * The best room for a quick match among the lobby entries, or null: an open room where the player plays
+ * right away, the fullest first (a round starts sooner), then waiting rooms before running ones.
+ */
+function pickQuickMatch(entries, { language, category } = {}) {
+  const candidates = entries.filter(e => matchesFilters(e, { language, category, open: true }));
+  candidates.sort((a, b) => b.players - a.players
+    || (a.status === 'waiting' ? 0 : 1) - (b.status === 'waiting' ? 0 : 1)
+    || a.code.localeCompare(b.code));
+  return candidates[0] || null;
+}
+
+/**
+ * Changes between two versions of this instance's entries (Map code -> entry):
+ * { updated: [entry] new or different, removed: [code] } — null when nothing changed.
+ */
+function diffEntries(previous, current) {
+  const updated = [];
+  for (const [code, entry] of current) {
+    if (JSON.stringify(previous.get(code)) !== JSON.stringify(entry)) updated.push(entry);
+  }
+  const removed = Array.from(previous.keys()).filter(code => !current.has(code));
+  return updated.length || removed.length ? { updated, removed } : null;
+}
+
+module.exports = { LOBBY, isOpen, matchesFilters, pickQuickMatch, diffEntries };
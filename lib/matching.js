@@ -0,0 +1,125 @@
+// lib/matching.js — confronto tra tentativo e parola segreta (articoli, accenti, punteggiatura, plurali)
+// e tra una domanda e quelle già fatte nel round
+
+const ARTICLES = new Set(['il', 'lo', 'la', 'i', 'gli', 'le', 'l', 'un', 'uno', 'una', 'the', 'a', 'an']);
+
+/** Lowercase words without diacritics or punctuation: "L'Été!" -> ['l', 'ete'] */
+function words(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean);
+}
+
+// very light stemmer: drops an English plural "s" and the final Italian vowel,
+// so gatto/gatti, giraffa/giraffe and cat/cats end up the same (porto/porta too: matchGuess only takes real plurals)
+function stem(word) {
+  let w = word;
+  if (w.length > 3 && w.endsWith('s')) w = w.slice(0, -1);
+  if (w.length > 3 && /[aeiou]$/.test(w)) w = w.slice(0, -1);
+  return w;
+}
+
+// the words of a guess, without the leading articles
+function guessWords(text) {
+  const list = words(text);
+  while (list.length > 1 && ARTICLES.has(list[0])) list.shift();
+  return list;
+}
+
+/** Loose comparison key (lookups, not guesses): leading articles removed, every word stemmed. */
+function matchKey(text) {
+  return guessWords(text).map(stem).join(' ');
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// singular/plural endings of the same Italian word (in alphabetical order): giraffa/giraffe, cane/cani, gatto/gatti
+const INFLECTIONS = new Set(['ae', 'ei', 'io']);
+
+// the same word, or one of its plural forms: another final vowel (porto/porta) is another word
+function sameWord(a, b) {
+  if (a === b) return true;
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  if (short.length > 2 && (long === short + 's' || long === short + 'es')) return true;
+  if (a.length !== b.length || a.length <= 3 || a.slice(0, -1) !== b.slice(0, -1)) return false;
+  const [x, y] = [a.slice(-1), b.slice(-1)].sort();
+  return INFLECTIONS.has(x + y);
+}
+
+/**
+ * Compares a guess with the secret word and its accepted aliases.
+ * Returns 'exact' (the same words, or their plurals), 'near' (close enough for the Thinker to decide:
+ * a few typos, or the same stem with another ending) or 'miss'.
+ * Short words tolerate fewer typos: the allowed distance is at most a quarter of the length.
+ */
+function matchGuess(guess, targets, maxDistance) {
+  const list = guessWords(guess);
+  const key = list.map(stem).join(' ');
+  if (!key) return 'miss';
+  let near = false;
+  for (const target of targets) {
+    const targetList = guessWords(target);
+    const targetKey = targetList.map(stem).join(' ');
+    if (!targetKey) continue;
+    if (list.length === targetList.length && list.every((w, i) => sameWord(w, targetList[i]))) return 'exact';
+    if (key === targetKey) {
+      near = true;
+      continue;
+    }
+    const allowed = Math.min(maxDistance, Math.floor(targetKey.length / 4));
+    if (allowed > 0 && editDistance(key, targetKey) <= allowed) near = true;
+  }
+  return near ? 'near' : 'miss';
+}
+
+// words that say little about what a question asks ("è un...", "is it a...", "vive nell'...")
+const QUESTION_FILLER = new Set([
+  ...ARTICLES, 'e', 'si', 'di', 'da', 'in', 'con', 'su', 'per', 'del', 'della', 'dello', 'nel', 'nella', 'nell', 'dell',
+  'is', 'it', 'does', 'do', 'can', 'of', 'on', 'at', 'to', 'with'
+]);
+
+// the meaningful words of a question, stemmed
+function questionKey(text) {
+  return words(text).filter(w => !QUESTION_FILLER.has(w)).map(stem);
+}
+
+/**
+ * The earlier question that `text` repeats, among `questions` ({ text } objects):
+ * { question, exact: true } when it asks with the same words, { question, exact: false } when the words
+ * are nearly the same (a different order, an extra word in five, a couple of typos), null otherwise.
+ */
+function findSimilarQuestion(text, questions) {
+  const key = questionKey(text);
+  if (key.length === 0) return null;
+  const joined = key.join(' ');
+  let near = null;
+  for (const question of questions) {
+    const other = questionKey(question.text);
+    if (other.length === 0) continue;
+    if (other.join(' ') === joined) return { question, exact: true };
+    if (near) continue;
+    const mine = new Set(key);
+    const theirs = new Set(other);
+    const shared = [...mine].filter(w => theirs.has(w)).length;
+    const overlap = shared / new Set([...mine, ...theirs]).size;
+    const allowed = Math.min(3, Math.floor(joined.length / 7));
+    if (overlap >= 0.8 || (allowed > 0 && editDistance(joined, other.join(' ')) <= allowed)) near = { question, exact: false };
+  }
+  return near;
+}
+
+module.exports = { words, stem, matchKey, editDistance, matchGuess, findSimilarQuestion };
@@ -0,0 +1,78 @@
+// lib/metrics.js — contatori dell'istanza ed esposizione nel formato di testo di Prometheus
+
+const EVENT_WINDOW_SECONDS = 60; // finestra della media degli eventi al secondo
+
+const COUNTERS = {
+  rounds_total: 'Rounds ended on this instance (result: guessed, thinker, void)',
+  timeouts_total: 'Timeouts fired (kind: ask, answer, guess, review)',
+  hints_total: 'Hints given in rounds (kind: text, letters, firstLetter; source: thinker, bought)',
+  socket_events_total: 'Socket events received from clients (event: name)'
+};
+
+// label values may hold anything: backslashes, quotes and newlines are escaped
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatMetric(name, type, help, values) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const { labels, value } of values) lines.push(`${name}${formatLabels(labels)} ${value}`);
+  return lines.join('\n');
+}
+
+/**
+ * Counters of this instance (every instance is scraped on its own):
+ *   inc(name, labels) adds one to a counter of COUNTERS,
+ *   countEvent(event) counts a socket event, also for eventsPerSecond() (average over the last minute),
+ *   render(gauges) -> the text for /metrics: the counters plus the gauges given as
+ *   { name: { help, values: [{ labels, value }] } }, every name with `prefix`.
+ */
+function createMetrics({ prefix = 'twentyq', now = () => Date.now() } = {}) {
+  const counters = new Map(Object.keys(COUNTERS).map(name => [name, new Map()]));
+  // one slot per second of the window: [second, count]
+  const window = Array.from({ length: EVENT_WINDOW_SECONDS }, () => [0, 0]);
+
+  function inc(name, labels = {}) {
+    const values = counters.get(name);
+    if (!values) throw new Error(`Unknown counter: ${name}`);
+    const key = formatLabels(labels);
+    const entry = values.get(key) || { labels, value: 0 };
+    entry.value++;
+    values.set(key, entry);
+  }
+
+  function countEvent(event) {
+    inc('socket_events_total', { event });
+    const second = Math.floor(now() / 1000);
+    const slot = window[second % EVENT_WINDOW_SECONDS];
+    if (slot[0] !== second) slot.splice(0, 2, second, 0);
+    slot[1]++;
+  }
+
+  function eventsPerSecond() {
+    const second = Math.floor(now() / 1000);
+    const total = window
+      .filter(([at]) => at > second - EVENT_WINDOW_SECONDS && at <= second)
+      .reduce((sum, [, count]) => sum + count, 0);
+    return total / EVENT_WINDOW_SECONDS;
+  }
+
+  function render(gauges = {}) {
+    const blocks = [];
+    for (const [name, values] of counters) {
+      blocks.push(formatMetric(`${prefix}_${name}`, 'counter', COUNTERS[name], Array.from(values.values())));
+    }
+    blocks.push(formatMetric(`${prefix}_socket_events_per_second`, 'gauge',
+      `Socket events per second, average over the last ${EVENT_WINDOW_SECONDS}s`, [{ value: eventsPerSecond() }]));
+    for (const [name, { help, values }] of Object.entries(gauges)) {
+      blocks.push(formatMetric(`${prefix}_${name}`, 'gauge', help, values));
+    }
+    return blocks.join('\n') + '\n';
+  }
+
+  return { inc, countEvent, eventsPerSecond, render };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,32 @@
+// lib/rateLimit.js — token bucket per socket
+
+// capacity = burst allowed, refillPerSec = sustained rate
+const RATE_LIMITS = {
+  'room:create': { capacity: 3, refillPerSec: 0.2 },
+  'room:join': { capacity: 5, refillPerSec: 0.5 },
+  'lobby:quickMatch': { capacity: 3, refillPerSec: 0.2 },
+  'chat:message': { capacity: 5, refillPerSec: 1 },
+  'team:chat': { capacity: 5, refillPerSec: 1 },
+  'question:ask': { capacity: 3, refillPerSec: 0.5 },
+  'guess:submit': { capacity: 3, refillPerSec: 0.5 },
+  'hint:give': { capacity: 3, refillPerSec: 0.2 },
+  'hint:buy': { capacity: 3, refillPerSec: 0.2 },
+  'word:suggest': { capacity: 5, refillPerSec: 0.5 },
+  'round:pause': { capacity: 3, refillPerSec: 0.2 }
+};
+
+/**
+ * Takes one token from buckets[key]; returns false when the bucket is empty.
+ * `buckets` is a plain object owned by the caller (one per socket).
+ */
+function takeToken(buckets, key, { capacity, refillPerSec }, now = Date.now()) {
+  let bucket = buckets[key];
+  if (!bucket) bucket = buckets[key] = { tokens: capacity, at: now };
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.at) / 1000) * refillPerSec);
+  bucket.at = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+module.exports = { RATE_LIMITS, takeToken };
@@ -0,0 +1,37 @@
+// lib/replay.js — registro eventi di un round: trascrizione leggibile (Markdown) del replay JSON
+const { DEFAULT_LANGUAGE, msg, translate } = require('./i18n');
+// the messages of the events are shared with the page (public/messages.js)
+const { eventMessage } = require('../public/messages');
+
+const REPLAY_SCHEMA = 1;
+
+/** One line of text for a replay event, in `language`. */
+function describeEvent(e, language = DEFAULT_LANGUAGE) {
+  return translate(language, eventMessage(e));
+}
+
+// time since the start of the round, mm:ss
+function clock(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/** Readable transcript of a saved round (the same record downloaded as JSON). */
+function toMarkdown(round, language = DEFAULT_LANGUAGE) {
+  const t = (key, params) => translate(language, msg(key, params));
+  const lines = [
+    t('replay.title', { code: round.code, date: new Date(round.startedAt).toISOString().slice(0, 16).replace('T', ' ') }),
+    '',
+    '- ' + t('replay.thinker', { name: round.thinkerName || '?' }),
+    '- ' + t(round.category ? 'replay.wordCategory' : 'replay.word', { word: round.secretWord || '?', category: round.category }),
+    '- ' + t(round.winnerName ? 'replay.outcomeWinner' : 'replay.outcome', { message: round.message, name: round.winnerName }),
+    '- ' + t('replay.duration', { time: clock(round.endedAt - round.startedAt) }),
+    '',
+    t('replay.steps'),
+    ''
+  ];
+  for (const e of round.events || []) lines.push(`- \`${clock(e.at - round.startedAt)}\` ${describeEvent(e, language)}`);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { REPLAY_SCHEMA, eventMessage, describeEvent, toMarkdown };
@@ -0,0 +1,38 @@
+// lib/scoring.js — punteggi dei round e classifica della partita
+
+const GUESS_BASE_POINTS = 10; // a chi indovina, più un bonus per ogni domanda risparmiata
+const THINKER_POINTS = 5;     // al Pensatore quando nessuno indovina
+
+/** Points for the guesser who solved the round: the fewer questions used, the more points. */
+function guessPoints(asked, maxQuestions) {
+  return GUESS_BASE_POINTS + Math.max(0, maxQuestions - asked);
+}
+
+/** Players sorted by score (players is the room.players Map); spectators are left out. */
+function getStandings(players) {
+  return Array.from(players).filter(([, p]) => p.role !== 'spectator').map(([id, p]) => ({
+    id,
+    name: p.name,
+    score: p.score || 0,
+    thinkerRounds: p.thinkerRounds || 0,
+    team: p.team ?? null
+  })).sort((a, b) => b.score - a.score);
+}
+
+/** Team totals (sum of the members' scores), best first; `teams` are the team ids in play. */
+function getTeamStandings(players, teams) {
+  const standings = getStandings(players);
+  return teams.map(team => ({
+    team,
+    score: standings.filter(s => s.team === team).reduce((sum, s) => sum + s.score, 0)
+  })).sort((a, b) => b.score - a.score);
+}
+
+/** A match is over once every player has been Thinker `rounds` times (0 = free play, never over). */
+function isMatchOver(players, rounds) {
+  const playing = Array.from(players.values()).filter(p => p.role !== 'spectator');
+  if (!rounds || playing.length < 2) return false;
+  return playing.every(p => (p.thinkerRounds || 0) >= rounds);
+}
+
+module.exports = { GUESS_BASE_POINTS, THINKER_POINTS, guessPoints, getStandings, getTeamStandings, isMatchOver };
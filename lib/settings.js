@@ -0,0 +1,70 @@
+// lib/settings.js — regole configurabili per stanza
+const { msg } = require('./i18n');
+
+const DEFAULT_SETTINGS = Object.freeze({
+  maxQuestions: 20,            // budget di domande del round
+  askSeconds: 60,              // tempo per fare la domanda
+  answerSeconds: 60,           // tempo del Pensatore per rispondere
+  guessSeconds: 60,            // tempo per ogni tentativo nella fase finale
+  guessAttempts: 2,            // tentativi per giocatore nella fase finale
+  maxTimeouts: 3,              // timeout di fila prima dell'espulsione (0 = mai)
+  unknownCostsQuestion: false, // se true anche "Non so" consuma una domanda
+  wrongGuessPenalty: 0,        // punti tolti per ogni tentativo sbagliato
+  fuzzyDistance: 2,            // errori di battitura tollerati prima di chiedere al Pensatore (0 = solo esatte)
+  reviewSeconds: 30,           // tempo del Pensatore per accettare un tentativo quasi giusto
+  matchRounds: 0,              // partita: volte che ognuno fa il Pensatore (0 = gioco libero)
+  maxPlayers: 0,               // posti per giocare, Pensatore compreso (0 = senza limite; spettatori esclusi)
+  lateJoinWaits: false,        // chi entra a round iniziato aspetta il prossimo come spettatore
+  teamMode: false,             // indovini in due squadre che si alternano e condividono i tentativi finali
+  teamBudget: false,           // a squadre: ogni squadra ha maxQuestions domande sue (altrimenti il budget è comune)
+  maxHints: 2,                 // indizi per round, del Pensatore o comprati (0 = niente indizi)
+  buyHints: true,              // gli indovini possono comprare un indizio nel loro turno
+  hintQuestionCost: 2,         // domande del budget che costa un indizio comprato
+  hintPointCost: 0             // punti che costa un indizio comprato a chi lo compra
+});
+
+// [min, max] for the integer settings
+const LIMITS = {
+  maxQuestions: [1, 100],
+  askSeconds: [10, 600],
+  answerSeconds: [10, 600],
+  guessSeconds: [10, 600],
+  guessAttempts: [1, 10],
+  maxTimeouts: [0, 10],
+  wrongGuessPenalty: [0, 10],
+  fuzzyDistance: [0, 3],
+  reviewSeconds: [10, 120],
+  matchRounds: [0, 5],
+  maxPlayers: [0, 20],
+  maxHints: [0, 5],
+  hintQuestionCost: [0, 10],
+  hintPointCost: [0, 20]
+};
+
+/**
+ * Validates a (possibly partial) settings object and merges it over `base`.
+ * Returns { settings } on success or { error } with a message (lib/i18n.js) for 'system:error'.
+ */
+function validateSettings(input, base = DEFAULT_SETTINGS) {
+  if (input === undefined || input === null) return { settings: { ...base } };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: msg('settings.invalid') };
+
+  const settings = { ...base };
+  for (const [key, value] of Object.entries(input)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key)) {
+      return { error: msg('settings.unknown', { key }) };
+    }
+    if (typeof DEFAULT_SETTINGS[key] === 'boolean') {
+      if (typeof value !== 'boolean') return { error: msg('settings.boolean', { key }) };
+    } else {
+      const [min, max] = LIMITS[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: msg('settings.range', { key, min, max }) };
+      }
+    }
+    settings[key] = value;
+  }
+  return { settings };
+}
+
+module.exports = { DEFAULT_SETTINGS, validateSettings };
@@ -0,0 +1,141 @@
+// lib/storage/file.js — adapter su file: uno snapshot per stanza in rooms/<codice>.json, round conclusi in rounds.jsonl,
+// pacchetti di parole caricati dagli utenti in packs.json (rooms.json delle versioni precedenti viene diviso al primo avvio)
+const fs = require('fs/promises');
+const path = require('path');
+
+// the history keeps the latest rounds (in memory too); the file is cut back once it has ROUNDS_SLACK more
+const MAX_ROUNDS = 1000;
+const ROUNDS_SLACK = 200;
+
+function createFileStorage(dir) {
+  const roomsDir = path.join(dir, 'rooms');
+  const legacyRoomsFile = path.join(dir, 'rooms.json');
+  const roundsFile = path.join(dir, 'rounds.jsonl');
+  const packsFile = path.join(dir, 'packs.json');
+  let packs = null; // id -> pack, loaded on first use
+  let rounds = null; // promise of the latest MAX_ROUNDS records, oldest first, loaded on first use
+  let roundLines = 0; // lines in rounds.jsonl
+  let queue = Promise.resolve();
+
+  // writes are serialized so a file is never written by two calls at once
+  function enqueue(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(err => console.error('[storage] write failed:', err.message));
+    return run;
+  }
+  async function readJson(file) {
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`[storage] cannot read ${path.basename(file)}:`, err.message);
+      return {};
+    }
+  }
+  async function writeJson(file, data) {
+    // write + rename, so a crash mid-write never leaves a truncated file
+    const tmp = file + '.tmp';
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+  // one file per room: a line in one room's log rewrites that room only
+  const roomFile = code => path.join(roomsDir, `${code}.json`);
+  async function migrateLegacyRooms() {
+    const legacy = await readJson(legacyRoomsFile);
+    await fs.mkdir(roomsDir, { recursive: true });
+    for (const snapshot of Object.values(legacy)) await writeJson(roomFile(snapshot.code), snapshot);
+    await fs.rm(legacyRoomsFile, { force: true });
+  }
+  async function readPacks() {
+    if (!packs) packs = await readJson(packsFile);
+    return packs;
+  }
+  async function loadRounds() {
+    let lines = [];
+    try {
+      lines = (await fs.readFile(roundsFile, 'utf8')).split('\n').filter(Boolean);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    roundLines = lines.length;
+    return lines.slice(-MAX_ROUNDS).map(l => JSON.parse(l));
+  }
+  // one load shared by every caller, so a save never lands in a list that is about to be replaced
+  function readRounds() {
+    if (!rounds) rounds = loadRounds().catch(err => {
+      rounds = null;
+      throw err;
+    });
+    return rounds;
+  }
+
+  return {
+    loadRooms() {
+      return enqueue(async () => {
+        await migrateLegacyRooms();
+        const files = (await fs.readdir(roomsDir)).filter(f => f.endsWith('.json'));
+        const snapshots = [];
+        for (const file of files) {
+          try {
+            snapshots.push(JSON.parse(await fs.readFile(path.join(roomsDir, file), 'utf8')));
+          } catch (err) {
+            console.error(`[storage] cannot read rooms/${file}:`, err.message);
+          }
+        }
+        return snapshots;
+      });
+    },
+    saveRoom(snapshot) {
+      return enqueue(async () => {
+        await fs.mkdir(roomsDir, { recursive: true });
+        await writeJson(roomFile(snapshot.code), snapshot);
+      });
+    },
+    deleteRoom(code) {
+      return enqueue(() => fs.rm(roomFile(code), { force: true }));
+    },
+    saveRound(record) {
+      return enqueue(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const all = await readRounds();
+        await fs.appendFile(roundsFile, JSON.stringify(record) + '\n');
+        roundLines++;
+        all.push(record);
+        if (all.length > MAX_ROUNDS) all.splice(0, all.length - MAX_ROUNDS);
+        if (roundLines <= MAX_ROUNDS + ROUNDS_SLACK) return;
+        const tmp = roundsFile + '.tmp';
+        await fs.writeFile(tmp, all.map(r => JSON.stringify(r) + '\n').join(''));
+        await fs.rename(tmp, roundsFile);
+        roundLines = all.length;
+      });
+    },
+    async listRounds({ code, limit = 50, includePrivate = false } = {}) {
+      return (await readRounds()).filter(r => (!code || r.code === code) && (includePrivate || !r.isPrivate)).slice(-limit).reverse();
+    },
+    async getRound(id) {
+      return (await readRounds()).find(r => r.id === id) || null;
+    },
+    async loadPacks() {
+      return Object.values(await readPacks());
+    },
+    savePack(pack) {
+      return enqueue(async () => {
+        (await readPacks())[pack.id] = pack;
+        await writeJson(packsFile, packs);
+      });
+    },
+    deletePack(id) {
+      return enqueue(async () => {
+        const all = await readPacks();
+        if (!all[id]) return;
+        delete all[id];
+        await writeJson(packsFile, packs);
+      });
+    },
+    close() {
+      return queue;
+    }
+  };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,27 @@
+// lib/storage/index.js — sceglie l'adapter di persistenza
+//   STORAGE=file (default) salva in DATA_DIR (default ./data)
+//   STORAGE=redis un archivio per tutte le istanze su REDIS_URL (default con CLUSTER=redis: il disco di ogni istanza è solo suo)
+//   STORAGE=memory non salva nulla su disco
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+const { createFileStorage } = require('./file');
+
+/**
+ * Every adapter exposes the same promise-based API:
+ *   loadRooms() -> [snapshot], saveRoom(snapshot), deleteRoom(code),
+ *   saveRound(record), listRounds({ code, limit, includePrivate }) -> [record] (private rooms' only with includePrivate),
+ *   getRound(id) -> record OR null,
+ *   loadPacks() -> [pack], savePack(pack), deletePack(id), close()
+ */
+function createStorage(kind = process.env.STORAGE || (process.env.CLUSTER === 'redis' ? 'redis' : 'file')) {
+  if (kind === 'memory') return createMemoryStorage();
+  if (kind === 'file') return createFileStorage(process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data'));
+  if (kind === 'redis') {
+    // required here like the redis cluster: a single instance doesn't need the redis packages
+    const { createRedisStorage } = require('./redis');
+    return createRedisStorage(process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  throw new Error(`Unknown STORAGE adapter: ${kind}`);
+}
+
+module.exports = { createStorage };
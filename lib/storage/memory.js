@@ -0,0 +1,39 @@
+// lib/storage/memory.js — adapter in memoria (default nei test, nulla sopravvive al riavvio)
+
+function createMemoryStorage() {
+  const rooms = new Map();
+  const rounds = [];
+  const packs = new Map();
+  return {
+    async loadRooms() {
+      return Array.from(rooms.values());
+    },
+    async saveRoom(snapshot) {
+      rooms.set(snapshot.code, snapshot);
+    },
+    async deleteRoom(code) {
+      rooms.delete(code);
+    },
+    async saveRound(record) {
+      rounds.push(record);
+    },
+    async listRounds({ code, limit = 50, includePrivate = false } = {}) {
+      return rounds.filter(r => (!code || r.code === code) && (includePrivate || !r.isPrivate)).slice(-limit).reverse();
+    },
+    async getRound(id) {
+      return rounds.find(r => r.id === id) || null;
+    },
+    async loadPacks() {
+      return Array.from(packs.values());
+    },
+    async savePack(pack) {
+      packs.set(pack.id, pack);
+    },
+    async deletePack(id) {
+      packs.delete(id);
+    },
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,72 @@
+// lib/storage/redis.js — adapter su Redis: lo stesso archivio per tutte le istanze (CLUSTER=redis)
+// snapshot delle stanze, storico dei round (gli ultimi MAX_ROUNDS) e pacchetti caricati dagli utenti
+const { createClient } = require('redis');
+
+const PREFIX = '20q:storage:';
+// older rounds (and their replays) are dropped
+const MAX_ROUNDS = 5000;
+
+function createRedisStorage(url) {
+  const client = createClient({ url });
+  client.on('error', err => console.error('[storage] redis:', err.message));
+  const roomsKey = PREFIX + 'rooms';
+  const roundsKey = PREFIX + 'rounds'; // id -> record
+  const roundIndexKey = PREFIX + 'rounds:index'; // oldest first: { id, code, isPrivate }
+  const packsKey = PREFIX + 'packs';
+  let connecting = null;
+
+  // connects on first use: the API has no connect() of its own
+  function db() {
+    if (!connecting) connecting = client.connect().then(() => client);
+    return connecting;
+  }
+  const parseAll = values => values.filter(Boolean).map(raw => JSON.parse(raw));
+
+  return {
+    async loadRooms() {
+      return parseAll(Object.values(await (await db()).hGetAll(roomsKey)));
+    },
+    async saveRoom(snapshot) {
+      await (await db()).hSet(roomsKey, snapshot.code, JSON.stringify(snapshot));
+    },
+    async deleteRoom(code) {
+      await (await db()).hDel(roomsKey, code);
+    },
+    async saveRound(record) {
+      const redis = await db();
+      const entry = JSON.stringify({ id: record.id, code: record.code, isPrivate: !!record.isPrivate });
+      await redis.multi().hSet(roundsKey, record.id, JSON.stringify(record)).rPush(roundIndexKey, entry).exec();
+      const extra = (await redis.lLen(roundIndexKey)) - MAX_ROUNDS;
+      if (extra <= 0) return;
+      const dropped = parseAll(await redis.lRange(roundIndexKey, 0, extra - 1));
+      await redis.multi().lTrim(roundIndexKey, extra, -1).hDel(roundsKey, dropped.map(e => e.id)).exec();
+    },
+    async listRounds({ code, limit = 50, includePrivate = false } = {}) {
+      const redis = await db();
+      const ids = parseAll(await redis.lRange(roundIndexKey, 0, -1))
+        .filter(e => (!code || e.code === code) && (includePrivate || !e.isPrivate))
+        .slice(-limit)
+        .reverse()
+        .map(e => e.id);
+      return ids.length ? parseAll(await redis.hmGet(roundsKey, ids)) : [];
+    },
+    async getRound(id) {
+      const raw = await (await db()).hGet(roundsKey, id);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async loadPacks() {
+      return parseAll(Object.values(await (await db()).hGetAll(packsKey)));
+    },
+    async savePack(pack) {
+      await (await db()).hSet(packsKey, pack.id, JSON.stringify(pack));
+    },
+    async deletePack(id) {
+      await (await db()).hDel(packsKey, id);
+    },
+    async close() {
+      if (connecting) await (await connecting).quit();
+    }
+  };
+}
+
+module.exports = { createRedisStorage };
@@ -0,0 +1,91 @@
+// lib/teams.js — modalità a squadre: gli indovini divisi in due squadre che si alternano nelle domande
+// e condividono i tentativi finali (room.settings.teamMode; con teamBudget ogni squadra ha le sue domande)
+
+const TEAMS = [0, 1];
+
+/** The team of a player in team mode; null without teams (or for a seat without a team yet). */
+function teamOf(room, id) {
+  if (!room.settings.teamMode) return null;
+  const team = room.players.get(id)?.team;
+  return TEAMS.includes(team) ? team : null;
+}
+
+/** Players of a team who can ask and guess this round (the Thinker and spectators are left out). */
+function teamMembers(room, team) {
+  return Array.from(room.players.keys()).filter(id =>
+    id !== room.thinkerSocketId && room.players.get(id).role !== 'spectator' && teamOf(room, id) === team);
+}
+
+/** Gives the smaller team to every player still without one (team mode only). */
+function assignTeams(room) {
+  if (!room.settings.teamMode) return;
+  // the Thinker gets one too, for when the seat rotates
+  for (const p of room.players.values()) {
+    if (p.role === 'spectator' || TEAMS.includes(p.team)) continue;
+    const sizes = TEAMS.map(team => teamMembers(room, team).length);
+    p.team = sizes.indexOf(Math.min(...sizes));
+  }
+}
+
+function separateBudgets(room) {
+  return !!room.settings.teamMode && !!room.settings.teamBudget;
+}
+
+/** Questions used by whoever pays for playerId's questions: their team with separate budgets, the room otherwise. */
+function questionsUsed(room, playerId) {
+  const team = teamOf(room, playerId);
+  return separateBudgets(room) && team !== null ? room.teamAsked[team] : room.asked;
+}
+
+/** Whether the questions are over: the room's budget, or every team's with separate budgets. */
+function budgetSpent(room) {
+  if (!separateBudgets(room)) return room.asked >= room.settings.maxQuestions;
+  return TEAMS.every(team => teamMembers(room, team).length === 0 || room.teamAsked[team] >= room.settings.maxQuestions);
+}
+
+/**
+ * Moves room.turnIdx to the next asker. Without teams it's the next seat; in team mode the turn
+ * goes to the other team (unless it has no one, or no questions left) and within a team it rotates.
+ */
+function advanceTurn(room) {
+  const order = room.turnOrder;
+  if (order.length === 0) return;
+  const currentId = order[room.turnIdx];
+  const current = teamOf(room, currentId);
+  if (!room.settings.teamMode) {
+    room.turnIdx = (room.turnIdx + 1) % order.length;
+    return;
+  }
+  if (current !== null) room.lastAskers[current] = currentId;
+  for (const team of [...TEAMS.filter(t => t !== current), current]) {
+    if (team === null) continue;
+    if (separateBudgets(room) && room.teamAsked[team] >= room.settings.maxQuestions) continue;
+    const members = order.filter(id => teamOf(room, id) === team);
+    if (members.length === 0) continue;
+    const next = members[(members.indexOf(room.lastAskers[team]) + 1) % members.length];
+    room.turnIdx = order.indexOf(next);
+    return;
+  }
+  room.turnIdx = (room.turnIdx + 1) % order.length;
+}
+
+/** Who owns final-phase attempts and timers: the player, or 'team:<n>' in team mode. */
+function guessSlot(room, playerId) {
+  const team = teamOf(room, playerId);
+  return team === null ? playerId : 'team:' + team;
+}
+/** The team behind a slot, or null for a single player's slot. */
+function slotTeam(slot) {
+  return String(slot).startsWith('team:') ? Number(slot.slice(5)) : null;
+}
+/** The players behind a slot. */
+function slotMembers(room, slot) {
+  const team = slotTeam(slot);
+  if (team !== null) return teamMembers(room, team);
+  return room.players.has(slot) ? [slot] : [];
+}
+
+module.exports = {
+  TEAMS, teamOf, teamMembers, assignTeams, separateBudgets, questionsUsed, budgetSpent, advanceTurn,
+  guessSlot, slotTeam, slotMembers
+};
@@ -0,0 +1,138 @@
+// lib/validation.js — schema dei payload dei socket: tipi, lunghezze, normalizzazione
+const { LANGUAGES, ANSWERS, msg } = require('./i18n');
+const { TEAMS } = require('./teams');
+const { HINT_KINDS, WORD_HINTS } = require('./hints');
+
+// control characters (newlines included) are never allowed in player input
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/g;
+
+const ROOM_CODE = { type: 'string', min: 2, max: 12, pattern: /^[A-Z0-9_-]+$/, upper: true };
+const PLAYER_NAME = { type: 'string', min: 1, max: 24 };
+const PLAYER_ID = { type: 'string', min: 1, max: 40, pattern: /^[\w-]+$/ };
+const PASSWORD = { type: 'string', min: 1, max: 32, optional: true };
+const ROOM_CATEGORY = { type: 'string', min: 1, max: 40, optional: true };
+// filters for random words out of the packs (all optional)
+const WORD_FILTERS = {
+  packId: { type: 'string', min: 2, max: 40, pattern: /^[a-z0-9_-]+$/, optional: true },
+  category: { type: 'string', min: 1, max: 40, optional: true },
+  difficulty: { type: 'enum', values: ['easy', 'medium', 'hard'], optional: true },
+  language: { type: 'string', min: 2, max: 2, pattern: /^[a-z]{2}$/, optional: true }
+};
+
+const SCHEMAS = {
+  'rooms:list': {},
+  'session:language': { language: { type: 'enum', values: LANGUAGES } },
+  'room:create': {
+    code: ROOM_CODE,
+    name: PLAYER_NAME,
+    settings: { type: 'object', optional: true },
+    isPrivate: { type: 'boolean', optional: true },
+    password: PASSWORD,
+    // shown in the lobby
+    title: { type: 'string', min: 1, max: 40, optional: true },
+    language: { type: 'enum', values: LANGUAGES, optional: true },
+    category: ROOM_CATEGORY
+  },
+  'room:join': { code: ROOM_CODE, name: PLAYER_NAME, asSpectator: { type: 'boolean', optional: true }, password: PASSWORD },
+  'lobby:quickMatch': { name: PLAYER_NAME, language: { type: 'enum', values: LANGUAGES, optional: true }, category: ROOM_CATEGORY },
+  'room:play': { code: ROOM_CODE },
+  'room:leave': { code: ROOM_CODE },
+  'room:rejoin': { code: ROOM_CODE, token: { type: 'string', min: 32, max: 32, pattern: /^[a-f0-9]+$/ } },
+  'room:settings': { code: ROOM_CODE, settings: { type: 'object' } },
+  'host:kick': { code: ROOM_CODE, playerId: PLAYER_ID },
+  'host:ban': { code: ROOM_CODE, playerId: PLAYER_ID },
+  'host:transfer': { code: ROOM_CODE, playerId: PLAYER_ID },
+  'host:lock': { code: ROOM_CODE, locked: { type: 'boolean' } },
+  'host:reorder': { code: ROOM_CODE, order: { type: 'array', max: 20, of: PLAYER_ID } },
+  'host:addBot': {
+    code: ROOM_CODE,
+    role: { type: 'enum', values: ['thinker', 'guesser'], optional: true },
+    difficulty: { type: 'enum', values: ['easy', 'medium', 'hard'], optional: true },
+    strategy: { type: 'string', min: 1, max: 40, pattern: /^[a-z0-9-]+$/, optional: true }
+  },
+  'word:suggest': { code: ROOM_CODE, ...WORD_FILTERS },
+  'round:start': {
+    code: ROOM_CODE,
+    // no secretWord (or random: true) -> the server picks one with the filters below
+    secretWord: { type: 'string', min: 1, max: 60, optional: true },
+    aliases: { type: 'array', max: 10, optional: true, of: { type: 'string', min: 1, max: 60 } },
+    random: { type: 'boolean', optional: true },
+    ...WORD_FILTERS
+  },
+  'question:ask': { code: ROOM_CODE, text: { type: 'string', min: 1, max: 200 }, confirmed: { type: 'boolean', optional: true } },
+  'question:answer': { code: ROOM_CODE, id: { type: 'integer', min: 1 }, answer: { type: 'enum', values: ANSWERS } },
+  'question:reject': { code: ROOM_CODE, id: { type: 'integer', min: 1 } },
+  'guess:submit': { code: ROOM_CODE, text: { type: 'string', min: 1, max: 60 } },
+  // text: only for kind 'text'; a bought hint without kind takes the next word hint
+  'hint:give': { code: ROOM_CODE, kind: { type: 'enum', values: HINT_KINDS }, text: { type: 'string', min: 1, max: 120, optional: true } },
+  'hint:buy': { code: ROOM_CODE, kind: { type: 'enum', values: WORD_HINTS, optional: true } },
+  'guess:confirm': { code: ROOM_CODE, accept: { type: 'boolean' } },
+  'round:pause': { code: ROOM_CODE, paused: { type: 'boolean' } },
+  'chat:message': { code: ROOM_CODE, text: { type: 'string', min: 1, max: 300 } },
+  'team:join': { code: ROOM_CODE, team: { type: 'enum', values: TEAMS } },
+  'team:chat': { code: ROOM_CODE, text: { type: 'string', min: 1, max: 300 } }
+};
+
+function checkField(key, rule, value) {
+  if (value === undefined || value === null) {
+    return rule.optional ? { value: undefined } : { error: msg('validation.missing', { field: key }) };
+  }
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: msg('validation.notText', { field: key }) };
+      let v = value.replace(CONTROL_CHARS, ' ').replace(/\s+/g, ' ').trim();
+      if (rule.upper) v = v.toUpperCase();
+      if (v.length < rule.min) return { error: msg('validation.empty', { field: key }) };
+      if (v.length > rule.max) return { error: msg('validation.tooLong', { field: key, max: rule.max }) };
+      if (rule.pattern && !rule.pattern.test(v)) return { error: msg('validation.badChars', { field: key }) };
+      return { value: v };
+    }
+    case 'integer':
+      if (!Number.isInteger(value) || value < rule.min) return { error: msg('validation.invalid', { field: key }) };
+      return { value };
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: msg('validation.invalid', { field: key }) };
+      return { value };
+    case 'array': {
+      if (!Array.isArray(value)) return { error: msg('validation.notList', { field: key }) };
+      if (value.length > rule.max) return { error: msg('validation.tooMany', { field: key, max: rule.max }) };
+      const items = [];
+      for (const item of value) {
+        const checked = checkField(key, rule.of, item);
+        if (checked.error) return checked;
+        items.push(checked.value);
+      }
+      return { value: items };
+    }
+    case 'enum':
+      if (!rule.values.includes(value)) return { error: msg('validation.invalid', { field: key }) };
+      return { value };
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return { error: msg('validation.invalid', { field: key }) };
+      return { value };
+    default:
+      return { error: msg('validation.unknownType', { field: key }) };
+  }
+}
+
+/**
+ * Validates the payload of `event` against its schema.
+ * Unknown keys are dropped; strings come back trimmed and normalized.
+ * Returns { value } or { error } (a message, see lib/i18n.js); events without a schema are rejected.
+ */
+function validatePayload(event, payload) {
+  const schema = SCHEMAS[event];
+  if (!schema) return { error: msg('validation.unknownEvent', { event }) };
+  if (payload === undefined && Object.keys(schema).length === 0) return { value: {} };
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return { error: msg('validation.payload') };
+
+  const value = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    const checked = checkField(key, rule, payload[key]);
+    if (checked.error) return { error: checked.error };
+    if (checked.value !== undefined) value[key] = checked.value;
+  }
+  return { value };
+}
+
+module.exports = { SCHEMAS, validatePayload };
@@ -0,0 +1,158 @@
+// lib/wordPacks.js — pacchetti di parole: validazione, catalogo (inclusi + caricati) e scelta casuale
+const fs = require('fs');
+const path = require('path');
+const { matchKey } = require('./matching');
+const { DEFAULT_LANGUAGE, msg, translate } = require('./i18n');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_WORDS = 2000;
+// uploaded packs are kept (and saved) whole: their number and total size are capped
+const MAX_UPLOADED_PACKS = 50;
+const MAX_UPLOADED_BYTES = 4 * 1024 * 1024;
+
+const PACK_ID = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+const LANGUAGE = /^[a-z]{2}$/;
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/g;
+
+function cleanText(value, max) {
+  if (typeof value !== 'string') return null;
+  const v = value.replace(CONTROL_CHARS, ' ').replace(/\s+/g, ' ').trim();
+  return v && v.length <= max ? v : null;
+}
+
+/**
+ * Rejects secret words nobody could reasonably guess with yes/no questions:
+ * no letters at all, or a whole sentence instead of a thing.
+ * Returns an error message (lib/i18n.js) or null.
+ */
+function checkSecretWord(word) {
+  if (!/\p{L}/u.test(word)) return msg('secret.noLetters');
+  if (word.split(' ').length > 4) return msg('secret.tooLong', { max: 4 });
+  return null;
+}
+
+/**
+ * Validates an uploaded pack:
+ *   { id, name, language, description?, words: [{ word, category, difficulty?, aliases? }] }
+ * `difficulty` defaults to 'medium'. Returns { pack } (normalized) or { error } with a message (lib/i18n.js).
+ */
+function validatePack(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: msg('pack.invalid') };
+  if (typeof input.id !== 'string' || !PACK_ID.test(input.id)) return { error: msg('pack.id') };
+  const name = cleanText(input.name, 60);
+  if (!name) return { error: msg('pack.name', { max: 60 }) };
+  if (typeof input.language !== 'string' || !LANGUAGE.test(input.language)) return { error: msg('pack.language') };
+  const description = input.description === undefined ? '' : cleanText(input.description, 200);
+  if (description === null) return { error: msg('pack.description', { max: 200 }) };
+  if (!Array.isArray(input.words) || input.words.length === 0) return { error: msg('pack.words') };
+  if (input.words.length > MAX_WORDS) return { error: msg('pack.tooManyWords', { max: MAX_WORDS }) };
+
+  const words = [];
+  const seen = new Set();
+  for (const [i, entry] of input.words.entries()) {
+    const where = `words[${i}]`;
+    if (!entry || typeof entry !== 'object') return { error: msg('pack.entry', { where }) };
+    const word = cleanText(entry.word, 60);
+    if (!word) return { error: msg('pack.word', { where }) };
+    const wordError = checkSecretWord(word);
+    if (wordError) return { error: msg('pack.secret', { where, error: wordError }) };
+    const category = cleanText(entry.category, 40);
+    if (!category) return { error: msg('pack.category', { where }) };
+    const difficulty = entry.difficulty === undefined ? 'medium' : entry.difficulty;
+    if (!DIFFICULTIES.includes(difficulty)) return { error: msg('pack.difficulty', { where, values: DIFFICULTIES }) };
+    const aliases = [];
+    for (const alias of entry.aliases || []) {
+      const a = cleanText(alias, 60);
+      if (!a) return { error: msg('pack.alias', { where }) };
+      aliases.push(a);
+    }
+    if (aliases.length > 10) return { error: msg('pack.tooManyAliases', { where, max: 10 }) };
+    const key = matchKey(word);
+    if (seen.has(key)) continue; // duplicates are dropped, not an error
+    seen.add(key);
+    words.push({ word, category, difficulty, aliases });
+  }
+  return { pack: { id: input.id, name, language: input.language, description, words } };
+}
+
+function summarize(pack) {
+  return {
+    id: pack.id,
+    name: pack.name,
+    language: pack.language,
+    description: pack.description,
+    bundled: pack.bundled,
+    size: pack.words.length,
+    categories: Array.from(new Set(pack.words.map(w => w.category))),
+    difficulties: DIFFICULTIES.filter(d => pack.words.some(w => w.difficulty === d))
+  };
+}
+
+function shuffle(list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/**
+ * In-memory catalog of packs. Bundled packs come from `dir` (one JSON file each)
+ * and cannot be replaced or removed; uploaded ones are persisted by the caller.
+ */
+function createPackLibrary(dir) {
+  const packs = new Map(); // id -> pack (with `bundled` flag)
+
+  for (const file of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+    if (!file.endsWith('.json')) continue;
+    const checked = validatePack(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    if (checked.error) throw new Error(`packs/${file}: ${translate(DEFAULT_LANGUAGE, checked.error)}`);
+    packs.set(checked.pack.id, { ...checked.pack, bundled: true });
+  }
+
+  // words of the packs matching the filters, each tagged with its pack id
+  function candidates({ packId, category, difficulty, language } = {}) {
+    const out = [];
+    for (const pack of packs.values()) {
+      if (packId && pack.id !== packId) continue;
+      if (language && pack.language !== language) continue;
+      for (const w of pack.words) {
+        if (category && matchKey(w.category) !== matchKey(category)) continue;
+        if (difficulty && w.difficulty !== difficulty) continue;
+        out.push({ ...w, packId: pack.id });
+      }
+    }
+    return out;
+  }
+
+  return {
+    list: () => Array.from(packs.values(), summarize),
+    get: id => packs.get(id) || null,
+    isBundled: id => !!packs.get(id)?.bundled,
+    /** Adds or replaces an uploaded pack within the caps; returns an error message (lib/i18n.js) or null. */
+    add(pack) {
+      if (packs.get(pack.id)?.bundled) return msg('pack.bundled', { id: pack.id });
+      const others = Array.from(packs.values()).filter(p => !p.bundled && p.id !== pack.id);
+      if (others.length >= MAX_UPLOADED_PACKS) return msg('pack.tooMany', { max: MAX_UPLOADED_PACKS });
+      const bytes = [...others, pack].reduce((sum, p) => sum + Buffer.byteLength(JSON.stringify(p)), 0);
+      if (bytes > MAX_UPLOADED_BYTES) return msg('pack.tooBig', { max: MAX_UPLOADED_BYTES / 1024 });
+      packs.set(pack.id, { ...pack, bundled: false });
+      return null;
+    },
+    remove: id => packs.delete(id),
+    /** Up to `count` distinct random words; words in `exclude` are skipped while others are left. */
+    pick(filters, count = 1, exclude = []) {
+      const all = shuffle(candidates(filters));
+      const used = new Set(exclude.map(matchKey));
+      const fresh = all.filter(w => !used.has(matchKey(w.word)));
+      return (fresh.length >= count ? fresh : fresh.concat(all.filter(w => used.has(matchKey(w.word))))).slice(0, count);
+    },
+    /** Looks a typed secret word up in the packs, to learn its category and aliases. */
+    find(word, language) {
+      const key = matchKey(word);
+      return candidates({ language }).find(w => matchKey(w.word) === key) || null;
+    }
+  };
+}
+
+module.exports = { DIFFICULTIES, checkSecretWord, validatePack, createPackLibrary };
@@ -0,0 +1,68 @@
+// public/messages.js — messaggi di indizi e replay, gli stessi sul server (lib/hints.js, lib/replay.js) e nella pagina
+// (CommonJS per Node, window.messages per il browser: niente dipendenze, solo chiavi dei cataloghi + parametri)
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.messages = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const ANSWERS = ['yes', 'no', 'unknown'];
+  const TIMEOUT_KINDS = ['ask', 'answer', 'guess', 'review'];
+  const REMOVAL_REASONS = ['left', 'timeouts', 'kicked', 'banned', 'disconnected'];
+
+  /** A message for the client: a catalog key and its parameters (names, numbers, other messages). */
+  function msg(key, params = {}) {
+    return { key, params };
+  }
+
+  /** The message for a hint { kind, text, reveal }. */
+  function hintMessage(hint) {
+    if (hint.kind === 'text') return msg('hint.text', { text: hint.text });
+    if (hint.kind === 'letters') {
+      return msg(hint.reveal.words > 1 ? 'hint.lettersWords' : 'hint.letters', hint.reveal);
+    }
+    return msg('hint.firstLetter', hint.reveal);
+  }
+
+  /** What a bought hint cost, as a list of messages (empty for a free one). */
+  function costMessages(cost) {
+    if (!cost) return [];
+    const parts = [];
+    if (cost.questions) parts.push(msg('hint.costQuestions', { questions: cost.questions }));
+    if (cost.points) parts.push(msg('hint.costPoints', { points: cost.points }));
+    return parts;
+  }
+
+  // rounds saved before the answers became enums keep the Italian label
+  function answerMessage(answer) {
+    return ANSWERS.includes(answer) ? msg('answer.' + answer) : answer;
+  }
+
+  /**
+   * The message for a replay event:
+   *   round:started { by, name, category }, question:asked { by, name, id, text },
+   *   question:answered { by, name, id, answer }, question:rejected { by, name, id }, timeout { kind, by, name } (a team's guess timeout: { kind, team, name }),
+   *   guess { by, name, text, correct, phase }, guess:review { by, name, text }, guess:reviewed { accepted },
+   *   hint { by, name, id, kind, text, reveal, cost } (cost null: the Thinker's, see lib/hints.js),
+   *   player:removed { by, name, reason }, round:paused / round:resumed { by, name }, round:ended { message, winnerTeam }
+   */
+  function eventMessage(e) {
+    const name = e.name;
+    switch (e.type) {
+      case 'round:started': return msg(e.category ? 'event.roundStartedCategory' : 'event.roundStarted', { name, category: e.category });
+      case 'question:asked': return msg('event.questionAsked', { name, text: e.text });
+      case 'question:answered': return msg('event.questionAnswered', { name, answer: answerMessage(e.answer) });
+      case 'question:rejected': return msg('event.questionRejected', { name });
+      case 'timeout': return msg('event.timeout.' + (TIMEOUT_KINDS.includes(e.kind) ? e.kind : 'other'), { name });
+      case 'guess': return msg(e.correct ? 'event.guessRight' : 'event.guessWrong', { name, text: e.text });
+      case 'guess:review': return msg('event.guessReview', { name, text: e.text });
+      case 'guess:reviewed': return msg(e.accepted ? 'event.reviewAccepted' : 'event.reviewRejected');
+      case 'hint': return msg(e.cost ? 'event.hintBought' : 'event.hint', { name, hint: hintMessage(e) });
+      case 'player:removed': return msg('event.removed.' + (REMOVAL_REASONS.includes(e.reason) ? e.reason : 'left'), { name });
+      case 'round:paused': return msg('event.paused', { name });
+      case 'round:resumed': return msg('event.resumed', { name });
+      case 'round:ended': return msg('event.roundEnded', { message: e.message });
+      default: return e.type;
+    }
+  }
+
+  return { ANSWERS, msg, hintMessage, costMessages, eventMessage };
+});
@@ -4,593 +4,1175 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
-
-const app = express();
-app.use(cors());
-const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: '*' } });
+const crypto = require('crypto');
+const { validateSettings } = require('./lib/settings');
+const { createStorage } = require('./lib/storage');
+const { createCluster } = require('./lib/cluster');
+const { validatePayload } = require('./lib/validation');
+const { RATE_LIMITS, takeToken } = require('./lib/rateLimit');
+const { createMetrics } = require('./lib/metrics');
+const { findSimilarQuestion } = require('./lib/matching');
+const { checkSecretWord, validatePack, createPackLibrary } = require('./lib/wordPacks');
+const { toMarkdown } = require('./lib/replay');
+const { LANGUAGES, DEFAULT_LANGUAGE, msg, pickLanguage, translate } = require('./lib/i18n');
+const { teamOf, teamMembers, assignTeams, questionsUsed } = require('./lib/teams');
+const {
+  RECONNECT_GRACE_MS, MAX_CHAT_ENTRIES, systemClock, createEngine, appendCapped, playingIds, countSeats, isRoomFull
+} = require('./lib/engine');
+const { LOBBY, pickQuickMatch, diffEntries } = require('./lib/lobby');
+const { getThinkerStrategy } = require('./lib/bots/thinker');
+const { getKnowledgeBase } = require('./lib/bots/knowledgeBase');
+
+// gli snapshot delle stanze vengono salvati al massimo ogni SAVE_DELAY_MS
+const SAVE_DELAY_MS = 500;
+const MAX_BOTS = 5;
+// room leases: renewed well before they expire; an instance that stops renewing loses its rooms
+const LEASE_TTL_MS = 10000;
+const LEASE_RENEW_MS = 3000;
 
 /**
- * Room structure (Map)
- * rooms: Map(code -> {
- *   code,
- *   status: 'waiting'|'playing'|'guessing',
- *   players: Map(socketId -> { name, role, timeouts }),
- *   thinkerSocketId,
- *   secretWord,
- *   questions: [{id,by,text,answer}],
- *   guesses: [{by,text,correct}],
- *   turnOrder: [socketId,...] (EXCLUDES thinker),
- *   turnIdx,
- *   maxQuestions,
- *   asked,
- *   guessAttempts: {socketId: attemptsLeft} OR null,
- *   logs: [],
- *   chat: [],
- *   turnTimer: numeric timeout id (or null),
- *   lastQuestionId: id of current question waiting for answer
- * })
+ * One game server: the express app, socket.io and the engine running its rooms (lib/engine.js).
+ * start(port) brings back the saved rooms and listens; shutdown() saves every room; close() just stops
+ * (tests pass their own clock and backends, and start on port 0).
  */
-const rooms = new Map();
-
-function createRoom(code) {
-  rooms.set(code, {
-    code,
-    status: 'waiting',
-    players: new Map(),
-    thinkerSocketId: null,
-    secretWord: null,
-    questions: [],
-    guesses: [],
-    turnOrder: [],
-    turnIdx: 0,
-    maxQuestions: 20,
-    asked: 0,
-    guessAttempts: null,
-    guessTimers: {}, // aggiunto
-    logs: [],
-    chat: [],
-    turnTimer: null,
-    lastQuestionId: null
+function createGameServer({ clock = systemClock, storage = createStorage(), cluster = createCluster() } = {}) {
+  const app = express();
+  app.use(cors());
+  const server = http.createServer(app);
+  // payloads are tiny: anything bigger than this is refused by socket.io itself
+  const io = new Server(server, { cors: { origin: '*' }, maxHttpBufferSize: 16 * 1024 });
+
+  const rooms = new Map();
+  // with more instances each room lives on the one holding its lease: only that one runs its timers
+  if (cluster.adapter) io.adapter(cluster.adapter);
+  // bundled packs from ./packs, uploaded ones are added from storage at startup
+  const packs = createPackLibrary(path.join(__dirname, 'packs'));
+  const metrics = createMetrics();
+  const pendingSaves = new Map(); // code -> timeout id
+  let leaseTimer = null;
+  let lobbyEntries = new Map(); // code -> this instance's lobby entries, as last sent to the lobby
+
+  // the engine only knows rooms and a clock: sockets, storage and the cluster are reached from here
+  const engine = createEngine({
+    rooms,
+    clock,
+    sink: {
+      emit: (to, event, payload) => io.to(to).emit(event, payload),
+      // (the socket may be connected to another instance: io.in() reaches it through the adapter)
+      detach: (socketId, code) => io.in(socketId).socketsLeave(code),
+      save: room => scheduleSave(room),
+      roundRecorded: record => storage.saveRound(record).catch(err => console.error('[storage] saveRound:', err.message)),
+      roomUnloaded: forgetRoom,
+      lobbyChanged: () => broadcastRooms(),
+      count: (name, labels) => metrics.inc(name, labels)
+    }
   });
-}
+  const {
+    createRoom, pushLog, recordEvent, emitRoomState, roomSnapshot, endRoundAndRotate, fillThinkerSeat, removePlayer, destroyRoom, unloadRoom,
+    serializeRoom, restoreRoom, startGraceTimer, cancelGraceTimer, rebindPlayer, resumeState, pauseRound, resumeRound, startRound,
+    askQuestion, rejectQuestion, answerQuestion, submitGuess, giveHint, buyHint, resolveGuessReview, scheduleBotRound
+  } = engine;
+
+  /* Lobby */
+  // this instance's rooms (the lobby merges every instance's list, see broadcastRooms)
+  function listRooms() {
+    return Array.from(rooms.values()).filter(r => !r.isPrivate).map(r => ({
+      code: r.code,
+      title: r.title,
+      language: r.language,
+      category: r.wordCategory,
+      hasPassword: !!r.passwordHash,
+      locked: r.locked,
+      players: countSeats(r),
+      spectators: r.players.size - countSeats(r),
+      maxPlayers: r.settings.maxPlayers,
+      status: r.status,
+      // mid-round joiners ask right away, or watch until the next round
+      joinsMidRound: !r.settings.lateJoinWaits
+    }));
+  }
+  // every instance publishes its own part of the lobby; parts not refreshed in a while belong to dead instances
+  function lobbyRooms() {
+    return cluster.publishRooms(listRooms()).then(() => cluster.listRooms(LEASE_TTL_MS));
+  }
+  // the lobby gets only what changed in this instance's rooms ('rooms:changed'); the whole list comes with rooms:list
+  function broadcastRooms() {
+    const entries = listRooms();
+    const current = new Map(entries.map(e => [e.code, e]));
+    const changes = diffEntries(lobbyEntries, current);
+    lobbyEntries = current;
+    cluster.publishRooms(entries).catch(err => console.error('[cluster] rooms:update:', err.message));
+    if (changes) io.to(LOBBY).emit('rooms:changed', changes);
+  }
+  function newRoomCode() {
+    const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(5), b => letters[b % letters.length]).join('');
+    } while (rooms.has(code));
+    return code;
+  }
 
-/* Helper utilities */
-function listRooms() {
-  return Array.from(rooms.values()).map(r => ({ code: r.code, players: r.players.size, status: r.status }));
-}
-function getPlayers(room) {
-  return Array.from(room.players.entries()).map(([id, p]) => ({ id, name: p.name, role: p.role }));
-}
-function publicRoomState(room) {
-  return { code: room.code, status: room.status, players: getPlayers(room), maxQuestions: room.maxQuestions };
-}
-function pushLog(room, message) {
-  room.logs.push(message);
-  io.to(room.code).emit('log:message', message);
-}
+  /* Closes a room for everyone in it (admin API): the seats are gone, the clients go back to the lobby */
+  function closeRoom(room) {
+    io.to(room.code).emit('room:closed', { code: room.code });
+    io.in(room.code).socketsLeave(room.code);
+    destroyRoom(room.code);
+    broadcastRooms();
+  }
 
-/* Timer helpers - server emits 'timer:start' to specific player, then acts on timeout */
-function clearTurnTimer(room) {
-  if (!room) return;
-  if (room.turnTimer) {
-    clearTimeout(room.turnTimer);
-    room.turnTimer = null;
+  /* --- Persistenza: snapshot delle stanze e storico dei round --- */
+  function scheduleSave(room) {
+    if (pendingSaves.has(room.code)) return;
+    pendingSaves.set(room.code, setTimeout(() => {
+      pendingSaves.delete(room.code);
+      if (rooms.get(room.code) !== room) return; // room deleted meanwhile
+      const snapshot = serializeRoom(room);
+      storage.saveRoom(snapshot).catch(err => console.error('[storage] saveRoom:', err.message));
+      // the copy another instance restores from if this one goes away
+      cluster.saveRoom(snapshot).catch(err => console.error('[cluster] saveRoom:', err.message));
+    }, SAVE_DELAY_MS));
+  }
+  // the room stopped running here; once deleted its saved copies and its lease go too
+  function forgetRoom(code, deleted) {
+    clearTimeout(pendingSaves.get(code));
+    pendingSaves.delete(code);
+    if (!deleted) return;
+    storage.deleteRoom(code).catch(err => console.error('[storage] deleteRoom:', err.message));
+    cluster.deleteRoom(code).catch(err => console.error('[cluster] deleteRoom:', err.message));
+    cluster.releaseLease(roomLease(code)).catch(err => console.error('[cluster] releaseLease:', err.message));
   }
-}
-function startAskTimer(room) {
-  clearTurnTimer(room);
-  if (!room || room.status !== 'playing') return;
-  if (!room.turnOrder || room.turnOrder.length === 0) return;
-  if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
-  const currentId = room.turnOrder[room.turnIdx];
-  io.to(currentId).emit('timer:start', { duration: 60000, type: 'ask' });
-  room.turnTimer = setTimeout(() => handleAskTimeout(room, currentId), 60000);
-}
-function startAnswerTimer(room, questionId) {
-  clearTurnTimer(room);
-  if (!room || room.status !== 'playing') return;
-  const thinkerId = room.thinkerSocketId;
-  if (!thinkerId) return;
-  io.to(thinkerId).emit('timer:start', { duration: 60000, type: 'answer' });
-  room.turnTimer = setTimeout(() => handleAnswerTimeout(room, thinkerId, questionId), 60000);
-}
 
-function handleAskTimeout(room, playerId) {
-  if (!room || room.status !== 'playing') return;
-  // ensure current is same player
-  const current = room.turnOrder[room.turnIdx];
-  if (current !== playerId) return; // out of date timer
-  const player = room.players.get(playerId);
-  // safety: if player missing, remove and adjust
-  if (!player) {
-    // remove from turnOrder and continue
-    room.turnOrder = room.turnOrder.filter(id => id !== playerId);
-    if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
-    if (room.turnOrder.length > 0) {
-      io.to(room.code).emit('turn:now', { socketId: room.turnOrder[room.turnIdx], name: room.players.get(room.turnOrder[room.turnIdx])?.name });
-      startAskTimer(room);
-    } else {
-      clearTurnTimer(room);
+  /* --- Sessioni: riconnessione con token --- */
+  function newSessionToken() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+  function hashPassword(password) {
+    const salt = crypto.randomBytes(8).toString('hex');
+    return salt + ':' + crypto.scryptSync(password, salt, 32).toString('hex');
+  }
+  function checkPassword(stored, password) {
+    const [salt, hash] = stored.split(':');
+    const attempt = crypto.scryptSync(String(password || ''), salt, 32);
+    return crypto.timingSafeEqual(attempt, Buffer.from(hash, 'hex'));
+  }
+  // behind the Render proxy the real client is the last x-forwarded-for entry: the proxy appends it,
+  // anything before it comes from the client and proves nothing
+  function clientAddress(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',').pop().trim() : socket.handshake.address;
+  }
+  function isBanned(room, socket, name) {
+    const address = clientAddress(socket);
+    return room.bans.some(b => b.address === address || b.name.toLowerCase() === name.toLowerCase());
+  }
+  function findPlayerByToken(room, token) {
+    if (!room || !token) return null;
+    for (const [id, p] of room.players) {
+      if (p.token === token) return { id, player: p };
     }
-    return;
+    return null;
   }
 
-  // increment their timeout counter
-  player.timeouts = (player.timeouts || 0) + 1;
 
-  // if reached 3 -> expel
-  if (player.timeouts >= 3) {
-    pushLog(room, `⛔ ${player.name} espulso per inattività (3 timeout).`);
-    // remove from players and turnOrder
-    room.players.delete(playerId);
-    const removedIdx = room.turnOrder.indexOf(playerId);
-    room.turnOrder = room.turnOrder.filter(id => id !== playerId);
-    if (removedIdx !== -1 && removedIdx < room.turnIdx) {
-      room.turnIdx = Math.max(0, room.turnIdx - 1);
-    }
-    // if no players left -> clear timer
-    if (room.turnOrder.length === 0) {
-      clearTurnTimer(room);
-    } else {
-      if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
-      const nextId = room.turnOrder[room.turnIdx];
-      io.to(room.code).emit('turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
-      startAskTimer(room);
+  /* --- Errori e validazione degli eventi --- */
+  // every error event carries a stable code, the message to render in the player's language
+  // (key + params) and the same message already rendered, for clients without the catalogs
+  function sendError(socket, code, message) {
+    socket.emit('system:error', { code, key: message.key, params: message.params, message: translate(socket.data.language, message) });
+  }
+
+  /* Registers a handler that only runs with a valid payload and within the socket's rate limit */
+  function guardedHandler(socket, event, handler) {
+    socket.on(event, (payload) => {
+      metrics.countEvent(event);
+      const checked = validatePayload(event, payload);
+      if (checked.error) return sendError(socket, 'INVALID_PAYLOAD', checked.error);
+      const limit = RATE_LIMITS[event];
+      if (limit && !takeToken(socket.data.buckets, event, limit)) {
+        return sendError(socket, 'RATE_LIMITED', msg('error.rateLimited'));
+      }
+      routeEvent(socket, event, checked.value, () => runHandler(socket, event, handler, checked.value));
+    });
+  }
+  function runHandler(socket, event, handler, payload) {
+    try {
+      handler(payload);
+    } catch (err) {
+      console.error(`[${event}]`, err);
+      sendError(socket, 'INTERNAL', msg('error.internal'));
     }
-    io.to(room.code).emit('room:state', publicRoomState(room));
-    io.emit('rooms:update', listRooms());
-    return;
   }
 
-  // skip their turn: increment question counter and advance
-  room.asked++;
-  pushLog(room, `⏱ ${player.name} non ha fatto la domanda in tempo — turno saltato.`);
-  io.to(room.code).emit('counter:update', { asked: room.asked, max: room.maxQuestions });
+  /* --- Più istanze: lease delle stanze, inoltro degli eventi, subentro --- */
+  function roomLease(code) {
+    return 'lease:room:' + code;
+  }
+
+  // the instance running a room: its lease holder, or this one when the room is free
+  // (just created, or left behind by an instance that is gone); null when there's no such room
+  async function claimRoom(code, creating) {
+    const owner = await cluster.leaseOwner(roomLease(code));
+    if (owner) return owner;
+    if (!creating && !(await cluster.loadRoom(code))) return null;
+    if (!(await cluster.acquireLease(roomLease(code), LEASE_TTL_MS))) return cluster.leaseOwner(roomLease(code));
+    await adoptRoom(code);
+    return cluster.instanceId;
+  }
 
-  if (room.asked >= room.maxQuestions) {
-    clearTurnTimer(room);
-    startGuessPhase(room.code);
-    return;
+  // takes over a room from its shared snapshot: timers restart here with the time they had left
+  async function adoptRoom(code) {
+    const snap = !rooms.has(code) && await cluster.loadRoom(code);
+    if (!snap || rooms.has(code)) return;
+    restoreRoom(snap, msg('log.adopted'));
+    const room = rooms.get(code);
+    // players still connected (to any instance) keep their seat without a rejoin
+    for (const live of await io.in(code).fetchSockets()) {
+      const player = room.players.get(live.id);
+      if (!player || player.connected) continue;
+      cancelGraceTimer(player);
+      player.connected = true;
+    }
+    emitRoomState(room);
   }
 
-  // advance to next player
-  if (room.turnOrder.length > 0) {
-    room.turnIdx = (room.turnIdx + 1) % room.turnOrder.length;
-    const nextId = room.turnOrder[room.turnIdx];
-    io.to(room.code).emit('turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
-    startAskTimer(room);
-  } else {
-    clearTurnTimer(room);
+  // events for a room run where the room lives: from any other instance they are forwarded there
+  function routeEvent(socket, event, payload, run) {
+    const code = payload && payload.code;
+    if (!cluster.distributed || !code || rooms.has(code)) return run();
+    // one at a time per socket, so forwarded events keep their order
+    socket.data.queue = socket.data.queue.then(async () => {
+      const owner = await claimRoom(code, event === 'room:create');
+      if (!owner || owner === cluster.instanceId) return run();
+      io.serverSideEmit('cluster:event', { to: owner, socketId: socket.id, address: clientAddress(socket), language: socket.data.language, event, payload });
+    }).catch(err => {
+      console.error(`[cluster] ${event}:`, err.message);
+      sendError(socket, 'INTERNAL', msg('error.internal'));
+    });
   }
-}
 
-function handleAnswerTimeout(room, thinkerId, questionId) {
-  if (!room || room.status !== 'playing') return;
-  // verify pending question
-  const q = room.questions.find(x => x.id === questionId);
-  if (q && !q.answer) {
-    q.answer = 'Non so';
-    io.to(room.code).emit('question:update', q);
-    pushLog(room, `⏱ Il Pensatore non ha risposto in tempo → risposto automaticamente "Non so".`);
-  }
-  // increment thinker's timeouts
-  const thinker = room.players.get(thinkerId);
-  if (thinker) {
-    thinker.timeouts = (thinker.timeouts || 0) + 1;
-    if (thinker.timeouts >= 3) {
-      // expel thinker -> end round
-      clearTurnTimer(room);
-      io.to(room.code).emit('round:ended', {
-        message: 'Il Pensatore è stato espulso per inattività. Round terminato.',
-        secretWord: room.secretWord,
-        questions: room.questions,
-        guesses: room.guesses,
-        winnerId: null
-      });
-      rooms.delete(room.code);
-      io.emit('rooms:update', listRooms());
-      return;
+  // stand-in for a socket connected to another instance: it is reached through the adapter
+  function remoteSocket(id, address, language) {
+    return {
+      id,
+      data: { language },
+      handshake: { headers: {}, address },
+      emit: (event, ...args) => io.to(id).emit(event, ...args),
+      join: code => io.in(id).socketsJoin(code),
+      leave: code => io.in(id).socketsLeave(code)
+    };
+  }
+
+  // renews the leases of the rooms running here and adopts the rooms nobody runs anymore
+  async function renewLeases() {
+    for (const code of Array.from(rooms.keys())) {
+      if (await cluster.acquireLease(roomLease(code), LEASE_TTL_MS)) continue;
+      // this instance stalled and another one took the room over: its timers must not fire twice
+      console.warn(`[cluster] lease of room ${code} lost`);
+      unloadRoom(code);
+      // its new instance lists it now: no removal to send
+      lobbyEntries.delete(code);
+    }
+    for (const code of await cluster.roomCodes()) {
+      if (!rooms.has(code)) await claimRoom(code, false);
     }
+    await cluster.publishRooms(listRooms());
   }
 
-  // advance to next player
-  if (room.turnOrder.length > 0) {
-    room.turnIdx = (room.turnIdx + 1) % room.turnOrder.length;
-    const nextId = room.turnOrder[room.turnIdx];
-    io.to(room.code).emit('turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
-    startAskTimer(room);
-  } else {
-    clearTurnTimer(room);
+  // after a restart a saved room comes back here, unless another instance runs it now
+  async function restoreSavedRoom(snap) {
+    if (!(await cluster.acquireLease(roomLease(snap.code), LEASE_TTL_MS))) return;
+    const shared = await cluster.loadRoom(snap.code);
+    restoreRoom(shared && shared.savedAt > snap.savedAt ? shared : snap);
   }
-}
 
-/* Round/guess helpers */
-function startGuessPhase(code) {
-  const room = rooms.get(code);
-  if (!room) return;
-  room.status = 'guessing';
-  room.guessAttempts = {};
-  room.guessTimers = {};
-  clearTurnTimer(room);
-  for (const [id] of room.players) {
-    if (id !== room.thinkerSocketId) room.guessAttempts[id] = 2;
-  }
-  pushLog(room, '🔔 Domande finite! Ogni giocatore ha 2 tentativi per indovinare.');
-  io.to(code).emit('room:state', publicRoomState(room));
-  startGuessTimers(room); // lancia timer individuali
-}
+  /* --- Socket handlers --- */
+  // the handlers of one socket: a real one, or a remoteSocket whose events another instance forwarded
+  function socketHandlers(socket) {
+    const handlers = {};
+    const on = (event, handler) => { handlers[event] = handler; };
+
+    // the socket is in the lobby until it takes a seat: it gets the whole list now, then the changes
+    on('rooms:list', () => {
+      socket.join(LOBBY);
+      lobbyRooms()
+        .then(list => socket.emit('rooms:update', list))
+        .catch(err => console.error('[cluster] rooms:list:', err.message));
+    });
 
+    // each player reads the game in their own language: the server only needs it for error texts
+    on('session:language', ({ language }) => {
+      socket.data.language = language;
+    });
 
-function endRoundAndRotate(code, message, winnerId = null) {
-  const room = rooms.get(code);
-  if (!room) return;
-  clearTurnTimer(room);
-  io.to(code).emit('round:ended', {
-    message,
-    secretWord: room.secretWord,
-    questions: room.questions,
-    guesses: room.guesses,
-    winnerId
-  });
-  rotateThinker(room);
-  room.status = 'waiting';
-  room.secretWord = null;
-  room.questions = [];
-  room.guesses = [];
-  room.asked = 0;
-  room.guessAttempts = null;
-  room.lastQuestionId = null;
-  clearTurnTimer(room);
-  pushLog(room, message);
-  io.to(code).emit('room:state', publicRoomState(room));
-  io.emit('rooms:update', listRooms());
-}
+    // title, language and category only describe the room in the lobby
+    on('room:create', ({ code, name, settings, isPrivate, password, title, language, category }) => {
+      if (rooms.has(code)) return sendError(socket, 'ROOM_EXISTS', msg('error.roomExists'));
+      const checked = validateSettings(settings);
+      if (checked.error) return sendError(socket, 'INVALID_SETTINGS', checked.error);
+      createRoom(code, checked.settings);
+      const room = rooms.get(code);
+      room.isPrivate = !!isPrivate;
+      room.passwordHash = password ? hashPassword(password) : null;
+      room.title = title || null;
+      room.language = language || socket.data.language;
+      room.wordCategory = category || null;
+      const token = newSessionToken();
+      room.players.set(socket.id, {
+        name, role: 'thinker', timeouts: 0, token, connected: true, graceTimer: null, score: 0, thinkerRounds: 0, address: clientAddress(socket)
+      });
+      room.thinkerSocketId = socket.id;
+      room.hostId = socket.id;
+      socket.join(code);
+      socket.leave(LOBBY);
+      socket.emit('session:token', { code, token });
+
+      assignTeams(room);
+      pushLog(room, msg('log.roomCreated', { name }));
+      socket.emit('log:history', room.logs);
+      socket.emit('chat:history', room.chat);
+      sendTeamHistory(room);
+      socket.emit('room:snapshot', roomSnapshot(room));
+      emitRoomState(room);
+      broadcastRooms();
+    });
 
-function rotateThinker(room) {
-  if (!room) return;
-  let nextThinkerId = null;
-  if (room.turnOrder.length > 0) {
-    // ensure turnIdx valid
-    if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
-    nextThinkerId = room.turnOrder[room.turnIdx];
-  } else {
-    nextThinkerId = Array.from(room.players.keys()).find(id => id !== room.thinkerSocketId) || room.thinkerSocketId;
-  }
-  for (const [id, p] of room.players) {
-    p.role = (id === nextThinkerId) ? 'thinker' : 'guesser';
-  }
-  room.thinkerSocketId = nextThinkerId;
-  // rebuild turnOrder excluding new thinker
-  room.turnOrder = Array.from(room.players.keys()).filter(id => id !== room.thinkerSocketId);
-  room.turnIdx = 0;
-}
+    on('room:join', ({ code, name, asSpectator, password }) => {
+      const room = rooms.get(code);
+      if (!room) return sendError(socket, 'ROOM_NOT_FOUND', msg('error.roomNotFound'));
+      if (room.players.has(socket.id)) return;
+      if (room.locked) return sendError(socket, 'ROOM_LOCKED', msg('error.roomLocked'));
+      if (isBanned(room, socket, name)) return sendError(socket, 'BANNED', msg('error.banned'));
+      if (room.passwordHash && !checkPassword(room.passwordHash, password)) {
+        return sendError(socket, 'WRONG_PASSWORD', msg('error.wrongPassword'));
+      }
 
-/* When a player leaves while round in progress, adjust turnOrder & maybe advance */
-function handlePlayerExitDuringRound(room, socketId) {
-  if (!room) return;
-  const idx = room.turnOrder.indexOf(socketId);
-  if (idx !== -1) {
-    room.turnOrder.splice(idx, 1);
-    if (room.status === 'playing') {
-      if (room.turnOrder.length === 0) {
-        clearTurnTimer(room);
-        return;
+      let role = 'guesser';
+      let queued = false;
+      if (asSpectator) role = 'spectator';
+      else if (isRoomFull(room)) return sendError(socket, 'ROOM_FULL', msg('error.roomFullSpectate'));
+      else if (room.status !== 'waiting' && room.settings.lateJoinWaits) {
+        // late joiners watch the current round and play from the next one
+        role = 'spectator';
+        queued = true;
       }
-      if (idx < room.turnIdx) {
-        room.turnIdx = Math.max(0, room.turnIdx - 1);
+
+      const token = newSessionToken();
+      room.players.set(socket.id, {
+        name, role, queued, timeouts: 0, token, connected: true, graceTimer: null, score: 0, thinkerRounds: 0, address: clientAddress(socket)
+      });
+      assignTeams(room);
+      socket.join(code);
+      socket.leave(LOBBY);
+      socket.emit('session:token', { code, token });
+
+      // send histories and the whole current state (questions, turn, timers)
+      socket.emit('log:history', room.logs);
+      socket.emit('chat:history', room.chat);
+      sendTeamHistory(room);
+      socket.emit('room:snapshot', roomSnapshot(room));
+
+      if (role === 'guesser') pushLog(room, msg('log.joined', { name }));
+      else if (queued) pushLog(room, msg('log.joinedQueued', { name }));
+      else pushLog(room, msg('log.joinedSpectator', { name }));
+      if (role === 'guesser') fillThinkerSeat(room);
+      emitRoomState(room);
+      broadcastRooms();
+
+      // if playing, append to turnOrder if not present
+      if (role === 'guesser' && room.status === 'playing' && socket.id !== room.thinkerSocketId && !room.turnOrder.includes(socket.id)) {
+        room.turnOrder.push(socket.id);
+        pushLog(room, msg('log.lateJoin', { name }));
+        emitRoomState(room);
+      }
+      scheduleBotRound(room);
+    });
+
+    // quick match: a seat in the best open room of the lobby (see lib/lobby.js), or a new room when there's none
+    on('lobby:quickMatch', ({ name, language, category }) => {
+      lobbyRooms()
+        .then(list => {
+          const best = pickQuickMatch(list, { language, category });
+          const event = best ? 'room:join' : 'room:create';
+          const payload = best
+            ? { code: best.code, name }
+            : { code: newRoomCode(), name, language: language || socket.data.language, category };
+          // the room may live on another instance: the join (or create) goes where a client's would
+          routeEvent(socket, event, payload, () => runHandler(socket, event, handlers[event], payload));
+        })
+        .catch(err => {
+          console.error('[cluster] lobby:quickMatch:', err.message);
+          sendError(socket, 'INTERNAL', msg('error.internal'));
+        });
+    });
+
+    // a spectator asks for a seat: right away between rounds, otherwise from the next one
+    on('room:play', ({ code }) => {
+      const room = rooms.get(code);
+      const player = room && room.players.get(socket.id);
+      if (!player || player.role !== 'spectator' || player.queued) return;
+      if (isRoomFull(room)) return sendError(socket, 'ROOM_FULL', msg('error.roomFull'));
+      if (room.status === 'waiting') {
+        player.role = 'guesser';
+        assignTeams(room);
+        sendTeamHistory(room);
+        pushLog(room, msg('log.nowPlaying', { name: player.name }));
+        fillThinkerSeat(room);
+      } else {
+        player.queued = true;
+        pushLog(room, msg('log.playsNextRound', { name: player.name }));
       }
-      if (idx === room.turnIdx) {
-        if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
-        const nextId = room.turnOrder[room.turnIdx];
-        io.to(room.code).emit('turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
-        startAskTimer(room);
+      emitRoomState(room);
+      broadcastRooms();
+      scheduleBotRound(room);
+    });
+
+    /* --- Comandi dell'host --- */
+    // returns the room only when the sender is its host
+    function hostRoom(code) {
+      const room = rooms.get(code);
+      if (!room) return null;
+      if (room.hostId !== socket.id) {
+        sendError(socket, 'NOT_HOST', msg('error.notHost'));
+        return null;
       }
+      return room;
+    }
+    function hostTarget(room, playerId) {
+      const target = room.players.get(playerId);
+      if (!target) sendError(socket, 'PLAYER_NOT_FOUND', msg('error.playerNotFound'));
+      else if (playerId === socket.id) sendError(socket, 'INVALID_TARGET', msg('error.selfTarget'));
+      else return target;
+      return null;
+    }
+    function expel(room, playerId, banned) {
+      const target = room.players.get(playerId);
+      const host = room.players.get(socket.id);
+      if (banned) room.bans.push({ name: target.name, address: target.address || null });
+      io.in(playerId).socketsLeave(room.code);
+      io.to(playerId).emit('room:kicked', { code: room.code, banned });
+      removePlayer(room, playerId, msg(banned ? 'log.banned' : 'log.kicked', { name: target.name, host: host.name }), banned ? 'banned' : 'kicked');
     }
-  }
-}
 
-/* --- Timer individuale per fase guessing --- */
-function startGuessTimers(room) {
-  if (!room || !room.guessAttempts) return;
-  for (const id in room.guessAttempts) {
-    startSingleGuessTimer(room, id);
-  }
-}
+    on('host:kick', ({ code, playerId }) => {
+      const room = hostRoom(code);
+      if (room && hostTarget(room, playerId)) expel(room, playerId, false);
+    });
 
-function startSingleGuessTimer(room, playerId) {
-  if (room.guessTimers[playerId]) clearTimeout(room.guessTimers[playerId]);
-  room.guessTimers[playerId] = setTimeout(() => {
-    room.guessAttempts[playerId]--;
-    pushLog(room, `⏱ ${room.players.get(playerId)?.name} non ha tentato in tempo — tentativi rimasti: ${room.guessAttempts[playerId]}`);
-    io.to(room.code).emit('guess:new', {
-      by: playerId,
-      name: room.players.get(playerId)?.name,
-      text: '(timeout)',
-      correct: false
-    });
-    if (room.guessAttempts[playerId] <= 0) delete room.guessTimers[playerId];
-    checkGuessPhaseEnd(room);
-  }, 60000);
-}
+    on('host:ban', ({ code, playerId }) => {
+      const room = hostRoom(code);
+      if (room && hostTarget(room, playerId)) expel(room, playerId, true);
+    });
 
-function checkGuessPhaseEnd(room) {
-  if (!room.guessAttempts) return;
-  const allOut = Object.values(room.guessAttempts).every(x => x <= 0);
-  if (allOut) endRoundAndRotate(room.code, 'Nessuno ha indovinato. Tentativi esauriti.', room.thinkerSocketId);
-}
+    on('host:transfer', ({ code, playerId }) => {
+      const room = hostRoom(code);
+      const target = room && hostTarget(room, playerId);
+      if (!target) return;
+      if (target.bot) return sendError(socket, 'INVALID_TARGET', msg('error.botHost'));
+      room.hostId = playerId;
+      pushLog(room, msg('log.newHost', { name: target.name }));
+      emitRoomState(room);
+    });
 
-/* --- Socket handlers --- */
-io.on('connection', (socket) => {
-  // initial list on demand
-  socket.on('rooms:list', () => socket.emit('rooms:update', listRooms()));
+    on('host:lock', ({ code, locked }) => {
+      const room = hostRoom(code);
+      if (!room) return;
+      room.locked = locked;
+      pushLog(room, msg(locked ? 'log.locked' : 'log.unlocked'));
+      emitRoomState(room);
+      broadcastRooms();
+    });
 
-  socket.on('room:create', ({ code, name }) => {
-    if (rooms.has(code)) return socket.emit('system:error', 'Codice stanza già esistente');
-    createRoom(code);
-    const room = rooms.get(code);
-    room.players.set(socket.id, { name, role: 'thinker', timeouts: 0 });
-    room.thinkerSocketId = socket.id;
-    socket.join(code);
-
-    pushLog(room, `👤 ${name} ha creato la stanza ed è il Pensatore`);
-    socket.emit('log:history', room.logs);
-    socket.emit('chat:history', room.chat);
-    io.to(code).emit('room:state', publicRoomState(room));
-    io.emit('rooms:update', listRooms());
-  });
+    // order: every guesser of the current rotation, in the new order
+    on('host:reorder', ({ code, order }) => {
+      const room = hostRoom(code);
+      if (!room) return;
+      const expected = room.status === 'waiting'
+        ? playingIds(room).filter(id => id !== room.thinkerSocketId)
+        : room.turnOrder;
+      if (order.length !== expected.length || new Set(order).size !== order.length || !order.every(id => expected.includes(id))) {
+        return sendError(socket, 'INVALID_ORDER', msg('error.invalidOrder'));
+      }
+      const currentId = room.turnOrder[room.turnIdx];
+      room.turnOrder = order.slice();
+      room.turnIdx = room.status === 'playing' ? Math.max(0, order.indexOf(currentId)) : 0;
+      // seats follow the new order too, so the next rounds keep it
+      let k = 0;
+      const seats = Array.from(room.players.keys()).map(id => (order.includes(id) ? order[k++] : id));
+      room.players = new Map(seats.map(id => [id, room.players.get(id)]));
+      pushLog(room, msg('log.turnOrder', { names: order.map(id => room.players.get(id).name) }));
+      emitRoomState(room);
+    });
 
-  socket.on('room:join', ({ code, name }) => {
-    const room = rooms.get(code);
-    if (!room) return socket.emit('system:error', 'Stanza non trovata');
+    // between rounds the host adds bots: a Thinker that keeps the seat, or guessers that play (and rotate) like everyone else;
+    // kicking a bot removes it
+    on('host:addBot', ({ code, role = 'thinker', difficulty = 'medium', strategy = 'knowledge-base' }) => {
+      const room = hostRoom(code);
+      if (!room) return;
+      if (room.status !== 'waiting') return sendError(socket, 'ROUND_IN_PROGRESS', msg('error.botsBetweenRounds'));
+      if (!getThinkerStrategy(strategy)) return sendError(socket, 'UNKNOWN_STRATEGY', msg('error.unknownStrategy', { strategy }));
+      // bots pick, answer and ask from kb/<language>.json: without one they would play in another language
+      if (!getKnowledgeBase(room.language)) return sendError(socket, 'BOT_LANGUAGE', msg('error.botLanguage'));
+      const bots = Array.from(room.players.values()).filter(p => p.bot);
+      if (bots.length >= MAX_BOTS) return sendError(socket, 'TOO_MANY_BOTS', msg('error.tooManyBots', { max: MAX_BOTS }));
+      if (isRoomFull(room)) return sendError(socket, 'ROOM_FULL', msg('error.roomFull'));
+      if (role === 'thinker') {
+        if (bots.some(b => b.bot.fixedThinker)) return sendError(socket, 'BOT_PRESENT', msg('error.botPresent'));
+        // the bot never hands the seat over, so there would be no rotation to count
+        if (room.settings.matchRounds > 0) return sendError(socket, 'BOT_IN_MATCH', msg('error.botInMatch'));
+      }
 
-    room.players.set(socket.id, { name, role: 'guesser', timeouts: 0 });
-    socket.join(code);
+      const botId = 'bot-' + crypto.randomBytes(6).toString('hex');
+      const bot = { strategy, difficulty, fixedThinker: role === 'thinker' };
+      // a bot's name is a plain name like everyone's: it is written in the room's language
+      const name = translate(room.language, role === 'thinker'
+        ? msg('bot.thinkerName')
+        : msg('bot.guesserName', { level: msg('bot.level.' + difficulty), n: bots.length + 1 }));
+      room.players.set(botId, { name, role: 'guesser', timeouts: 0, token: null, connected: true, graceTimer: null, score: 0, thinkerRounds: 0, bot });
+      if (role === 'thinker') {
+        const previous = room.players.get(room.thinkerSocketId);
+        if (previous) previous.role = 'guesser';
+        room.players.get(botId).role = 'thinker';
+        room.thinkerSocketId = botId;
+        pushLog(room, msg('log.botThinker'));
+      } else {
+        assignTeams(room);
+        pushLog(room, msg('log.botJoined', { name }));
+      }
+      emitRoomState(room);
+      broadcastRooms();
+      scheduleBotRound(room);
+    });
 
-    // send histories
-    socket.emit('log:history', room.logs);
-    socket.emit('chat:history', room.chat);
+    on('room:leave', ({ code }) => {
+      const room = rooms.get(code);
+      if (!room) return;
+      socket.leave(code);
+      const player = room.players.get(socket.id);
+      if (player) removePlayer(room, socket.id, msg('log.left', { name: player.name }));
+    });
 
-    pushLog(room, `👋 ${name} è entrato nella stanza`);
-    io.to(code).emit('room:state', publicRoomState(room));
-    io.emit('rooms:update', listRooms());
+    on('room:rejoin', ({ code, token }) => {
+      const room = rooms.get(code);
+      const found = findPlayerByToken(room, token);
+      if (!found) return socket.emit('session:expired', { code });
+      const { id: oldId, player } = found;
+
+      cancelGraceTimer(player);
+      player.connected = true;
+      player.address = clientAddress(socket);
+      if (oldId !== socket.id) {
+        // a stale socket may still be around (e.g. page reload before the ping timeout)
+        io.in(oldId).socketsLeave(code);
+        io.to(oldId).emit('session:expired', { code });
+        rebindPlayer(room, oldId, socket.id);
+      }
+      socket.join(code);
+      socket.leave(LOBBY);
+
+      socket.emit('session:token', { code, token });
+      socket.emit('log:history', room.logs);
+      socket.emit('chat:history', room.chat);
+      sendTeamHistory(room);
+      socket.emit('room:resume', resumeState(room, socket.id));
+      socket.emit('room:snapshot', roomSnapshot(room));
+
+      pushLog(room, msg('log.rejoined', { name: player.name }));
+      emitRoomState(room);
+    });
 
-    // if playing, append to turnOrder if not present
-    if (room.status === 'playing' && socket.id !== room.thinkerSocketId && !room.turnOrder.includes(socket.id)) {
-      room.turnOrder.push(socket.id);
-      pushLog(room, `➕ ${name} si è unito in corsa e verrà servito quando arriverà il suo turno`);
-      io.to(code).emit('room:state', publicRoomState(room));
-    }
-  });
+    // the creator can change the rules between rounds
+    on('room:settings', ({ code, settings }) => {
+      const room = rooms.get(code);
+      if (!room) return;
+      if (socket.id !== room.hostId) return sendError(socket, 'NOT_HOST', msg('error.notHostRules'));
+      if (room.status !== 'waiting') return sendError(socket, 'ROUND_IN_PROGRESS', msg('error.rulesBetweenRounds'));
+      const checked = validateSettings(settings, room.settings);
+      if (checked.error) return sendError(socket, 'INVALID_SETTINGS', checked.error);
+      if (checked.settings.matchRounds > 0 && room.players.get(room.thinkerSocketId)?.bot?.fixedThinker) {
+        return sendError(socket, 'BOT_IN_MATCH', msg('error.botInMatch'));
+      }
+      room.settings = checked.settings;
+      assignTeams(room);
+      pushLog(room, msg('log.rulesUpdated', { questions: room.settings.maxQuestions, attempts: room.settings.guessAttempts }));
+      emitRoomState(room);
+      broadcastRooms(); // maxPlayers and lateJoinWaits show in the lobby
+    });
 
-  socket.on('room:leave', ({ code }) => {
-    const room = rooms.get(code);
-    if (!room) return;
-    const player = room.players.get(socket.id);
-    room.players.delete(socket.id);
-    socket.leave(code);
-
-    if (player) pushLog(room, `🚪 ${player.name} ha lasciato la stanza`);
-
-    if (socket.id === room.thinkerSocketId) {
-      // thinker leaves -> reveal and end
-      clearTurnTimer(room);
-      io.to(code).emit('round:ended', {
-        message: 'Il Pensatore ha lasciato la stanza. Round terminato.',
-        secretWord: room.secretWord,
-        questions: room.questions,
-        guesses: room.guesses,
-        winnerId: null
+    // three random words for the Thinker to choose from
+    on('word:suggest', ({ code, ...filters }) => {
+      const room = rooms.get(code);
+      if (!room || room.status !== 'waiting') return;
+      if (socket.id !== room.thinkerSocketId) return;
+      const words = packs.pick(filters, 3, room.recentWords);
+      if (words.length === 0) return sendError(socket, 'NO_WORDS', msg('error.noWords'));
+      socket.emit('word:suggestions', { words: words.map(w => ({ word: w.word, category: w.category, difficulty: w.difficulty, packId: w.packId })) });
+    });
+
+    on('round:start', ({ code, secretWord, aliases, random, ...filters }) => {
+      const room = rooms.get(code);
+      if (!room) return;
+      if (socket.id !== room.thinkerSocketId) return;
+      if (room.status !== 'waiting') return;
+
+      // either the Thinker's word (looked up in the packs for its category) or one drawn by the server
+      let entry;
+      if (random || !secretWord) {
+        [entry] = packs.pick(filters, 1, room.recentWords);
+        if (!entry) return sendError(socket, 'NO_WORDS', msg('error.noWords'));
+      } else {
+        const wordError = checkSecretWord(secretWord);
+        if (wordError) return sendError(socket, 'BAD_SECRET', wordError);
+        entry = packs.find(secretWord, filters.language);
+      }
+      if (entry) room.recentWords = [...room.recentWords, entry.word].slice(-50);
+      startRound(room, {
+        secretWord: random || !secretWord ? entry.word : secretWord,
+        aliases: Array.from(new Set([...(aliases || []), ...(entry ? entry.aliases : [])])),
+        category: entry ? entry.category : null
       });
-      rooms.delete(code);
-      io.emit('rooms:update', listRooms());
-      return;
-    } else {
-      // remove from turnOrder and possibly advance
-      handlePlayerExitDuringRound(room, socket.id);
-      io.to(code).emit('room:state', publicRoomState(room));
-      io.emit('rooms:update', listRooms());
-      if (room.players.size === 0) rooms.delete(code);
-    }
-  });
+    });
 
-  socket.on('round:start', ({ code, secretWord }) => {
-    const room = rooms.get(code);
-    if (!room) return;
-    if (socket.id !== room.thinkerSocketId) return;
-
-    room.secretWord = String(secretWord || '').trim();
-    if (!room.secretWord) return socket.emit('system:error', 'Parola segreta vuota');
-
-    room.status = 'playing';
-    room.questions = [];
-    room.guesses = [];
-    room.asked = 0;
-    room.guessAttempts = null;
-    room.turnOrder = Array.from(room.players.keys()).filter(id => id !== room.thinkerSocketId);
-    room.turnIdx = 0;
-    room.lastQuestionId = null;
-    // reset timeouts counts
-    for (const [,p] of room.players) p.timeouts = 0;
-
-    io.to(code).emit('round:started', { maxQuestions: room.maxQuestions, players: getPlayers(room) });
-    io.to(room.thinkerSocketId).emit('round:secret', { secretWord: room.secretWord });
-
-    if (room.turnOrder.length > 0) {
-      const nextId = room.turnOrder[room.turnIdx];
-      io.to(code).emit('turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
-      startAskTimer(room);
-    }
+    // a question that repeats an earlier one comes back to the asker as 'question:similar';
+    // it only counts once they send it again with confirmed: true
+    on('question:ask', ({ code, text, confirmed }) => {
+      const room = rooms.get(code);
+      if (!room || room.status !== 'playing') return;
+      const isTurn = room.turnOrder[room.turnIdx] === socket.id;
+      if (!isTurn) return sendError(socket, 'NOT_YOUR_TURN', msg('error.notYourTurn'));
+      if (room.paused) return sendError(socket, 'PAUSED', msg('error.paused'));
+      if (questionsUsed(room, socket.id) >= room.settings.maxQuestions) return sendError(socket, 'QUESTION_LIMIT', msg('error.questionLimit'));
+      const similar = findSimilarQuestion(text, room.questions.filter(q => !q.rejected));
+      if (similar && !confirmed) {
+        const { id, text: earlier, answer } = similar.question;
+        return socket.emit('question:similar', { text, exact: similar.exact, question: { id, text: earlier, answer } });
+      }
+      askQuestion(room, socket.id, text, similar ? similar.question.id : null);
+    });
 
-    pushLog(room, '▶️ Round iniziato!');
-    io.emit('rooms:update', listRooms());
-    io.to(code).emit('room:state', publicRoomState(room));
-  });
+    on('question:answer', ({ code, id, answer }) => {
+      const room = rooms.get(code);
+      if (!room || socket.id !== room.thinkerSocketId) return;
+      const q = room.questions.find(x => x.id === id);
+      if (!q || q.answer || q.rejected) return;
+      if (room.paused) return sendError(socket, 'PAUSED', msg('error.paused'));
+      answerQuestion(room, q, answer);
+    });
 
-  socket.on('question:ask', ({ code, text }) => {
-    const room = rooms.get(code);
-    if (!room || room.status !== 'playing') return;
-    const isTurn = room.turnOrder[room.turnIdx] === socket.id;
-    if (!isTurn) return socket.emit('system:error', 'Non è il tuo turno');
-    if (room.asked >= room.maxQuestions) return socket.emit('system:error', 'Limite domande raggiunto');
+    // the Thinker turns down a question that isn't a yes/no one
+    on('question:reject', ({ code, id }) => {
+      const room = rooms.get(code);
+      if (!room || room.status !== 'playing' || socket.id !== room.thinkerSocketId) return;
+      const q = room.questions.find(x => x.id === id);
+      if (!q || q.answer || q.rejected) return;
+      if (room.paused) return sendError(socket, 'PAUSED', msg('error.paused'));
+      rejectQuestion(room, q);
+    });
+
+    on('guess:submit', ({ code, text }) => {
+      const room = rooms.get(code);
+      if (!room || (room.status !== 'playing' && room.status !== 'guessing')) return;
+      const player = room.players.get(socket.id);
+      if (!player) return sendError(socket, 'NOT_IN_ROOM', msg('error.notInRoom'));
+      if (player.role === 'spectator') return sendError(socket, 'SPECTATOR', msg('error.spectator'));
+      const error = submitGuess(room, socket.id, text);
+      if (error) sendError(socket, error.code, error.message);
+    });
 
-    // reset asker's timeout count
-    const asker = room.players.get(socket.id);
-    if (asker) asker.timeouts = 0;
+    // hints: the Thinker gives them while the round runs, a guesser buys one on their turn
+    on('hint:give', ({ code, kind, text }) => {
+      const room = rooms.get(code);
+      if (!room || (room.status !== 'playing' && room.status !== 'guessing') || socket.id !== room.thinkerSocketId) return;
+      if (room.paused) return sendError(socket, 'PAUSED', msg('error.paused'));
+      const error = giveHint(room, kind, text);
+      if (error) sendError(socket, error.code, error.message);
+    });
 
-    // stop ask timer
-    clearTurnTimer(room);
+    on('hint:buy', ({ code, kind }) => {
+      const room = rooms.get(code);
+      if (!room || room.status !== 'playing') return;
+      if (room.turnOrder[room.turnIdx] !== socket.id) return sendError(socket, 'NOT_YOUR_TURN', msg('error.notYourTurn'));
+      if (room.paused) return sendError(socket, 'PAUSED', msg('error.paused'));
+      // the question just asked is still with the Thinker: the turn isn't over
+      if (room.questions.some(q => q.id === room.lastQuestionId && !q.answer && !q.rejected)) {
+        return sendError(socket, 'QUESTION_PENDING', msg('error.questionPending'));
+      }
+      const error = buyHint(room, socket.id, kind);
+      if (error) sendError(socket, error.code, error.message);
+    });
 
-    const q = { id: room.questions.length + 1, by: socket.id, text: String(text).trim(), answer: null };
-    room.questions.push(q);
-    room.lastQuestionId = q.id;
-    io.to(code).emit('question:new', { ...q, byName: room.players.get(socket.id)?.name });
+    // the Thinker accepts or rejects a near-miss guess
+    on('guess:confirm', ({ code, accept }) => {
+      const room = rooms.get(code);
+      if (!room || socket.id !== room.thinkerSocketId || !room.pendingGuess) return;
+      if (room.paused) return sendError(socket, 'PAUSED', msg('error.paused'));
+      const thinker = room.players.get(socket.id);
+      if (thinker) thinker.timeouts = 0;
+      resolveGuessReview(room, accept);
+    });
 
-    // start answer timer for thinker
-    startAnswerTimer(room, q.id);
-  });
+    // the host or the Thinker holds the round: no timeouts (nor expulsions for them) until it resumes
+    on('round:pause', ({ code, paused }) => {
+      const room = rooms.get(code);
+      if (!room) return;
+      const player = room.players.get(socket.id);
+      if (!player) return sendError(socket, 'NOT_IN_ROOM', msg('error.notInRoom'));
+      if (socket.id !== room.hostId && socket.id !== room.thinkerSocketId) {
+        return sendError(socket, 'NOT_ALLOWED', msg('error.pauseNotAllowed'));
+      }
+      if (room.status === 'waiting') return sendError(socket, 'NO_ROUND', msg('error.noRound'));
+      if (paused === !!room.paused) return;
+      if (paused) pauseRound(room, socket.id);
+      else resumeRound(room);
+      recordEvent(room, paused ? 'round:paused' : 'round:resumed', { by: socket.id });
+      pushLog(room, msg(paused ? 'log.paused' : 'log.resumed', { name: player.name }));
+      emitRoomState(room);
+    });
 
-  socket.on('question:answer', ({ code, id, answer }) => {
-    const room = rooms.get(code);
-    if (!room || socket.id !== room.thinkerSocketId) return;
-    const q = room.questions.find(x => x.id === id);
-    if (!q || q.answer) return;
-
-    // reset thinker's timeout count
-    const thinker = room.players.get(socket.id);
-    if (thinker) thinker.timeouts = 0;
-
-    // stop answer timer
-    clearTurnTimer(room);
-
-    q.answer = answer;
-    io.to(code).emit('question:update', q);
-    if (answer !== 'Non so') {
-      room.asked++;
-      io.to(code).emit('counter:update', { asked: room.asked, max: room.maxQuestions });
-    }
+    // chat
+    on('chat:message', ({ code, text }) => {
+      const room = rooms.get(code);
+      if (!room) return;
+      // the name comes from the seat, never from the payload
+      const player = room.players.get(socket.id);
+      if (!player) return sendError(socket, 'NOT_IN_ROOM', msg('error.notInRoom'));
+      const entry = { name: player.name, text };
+      appendCapped(room.chat, entry, MAX_CHAT_ENTRIES);
+      io.to(code).emit('chat:message', entry);
+      scheduleSave(room);
+    });
 
-    // advance to next player
-    if (room.turnOrder.length > 0) {
-      room.turnIdx = (room.turnIdx + 1) % room.turnOrder.length;
-      const nextId = room.turnOrder[room.turnIdx];
-      io.to(code).emit('turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
-      startAskTimer(room);
+    /* --- Squadre --- */
+    // this socket's team chat so far (empty without a team, and for the Thinker)
+    function sendTeamHistory(room) {
+      const team = teamOf(room, socket.id);
+      const reads = team !== null && socket.id !== room.thinkerSocketId;
+      socket.emit('team:history', { team, messages: reads ? room.teamChats[team] : [] });
     }
 
-    if (room.asked >= room.maxQuestions && room.status === 'playing') startGuessPhase(code);
-  });
+    // between rounds a guesser can switch team
+    on('team:join', ({ code, team }) => {
+      const room = rooms.get(code);
+      if (!room) return;
+      const player = room.players.get(socket.id);
+      if (!player) return sendError(socket, 'NOT_IN_ROOM', msg('error.notInRoom'));
+      if (player.role === 'spectator') return sendError(socket, 'SPECTATOR', msg('error.spectator'));
+      if (!room.settings.teamMode) return sendError(socket, 'NO_TEAMS', msg('error.noTeams'));
+      if (room.status !== 'waiting') return sendError(socket, 'ROUND_IN_PROGRESS', msg('error.teamsBetweenRounds'));
+      if (player.team === team) return;
+      player.team = team;
+      pushLog(room, msg('log.teamJoined', { name: player.name, team: msg('team.' + team) }));
+      sendTeamHistory(room);
+      emitRoomState(room);
+    });
 
-  socket.on('guess:submit', ({ code, text }) => {
-  const room = rooms.get(code);
-  if (!room || (room.status !== 'playing' && room.status !== 'guessing')) return;
-  const guess = String(text).trim();
-  const correct = room.secretWord && guess.toLowerCase() === room.secretWord.toLowerCase();
+    // private chat of a team: only its members (never the Thinker) read it
+    on('team:chat', ({ code, text }) => {
+      const room = rooms.get(code);
+      if (!room) return;
+      const player = room.players.get(socket.id);
+      if (!player) return sendError(socket, 'NOT_IN_ROOM', msg('error.notInRoom'));
+      const team = teamOf(room, socket.id);
+      if (team === null || socket.id === room.thinkerSocketId || player.role === 'spectator') {
+        return sendError(socket, 'NO_TEAM', msg('error.noTeam'));
+      }
+      const entry = { team, name: player.name, text };
+      appendCapped(room.teamChats[team], entry, MAX_CHAT_ENTRIES);
+      for (const id of teamMembers(room, team)) io.to(id).emit('team:chat', entry);
+      scheduleSave(room);
+    });
 
-  // reset player's timeout count (any action resets)
-  const player = room.players.get(socket.id);
-  if (player) player.timeouts = 0;
+    on('disconnect', () => {
+      // keep the seat for a while: the player can come back with room:rejoin
+      for (const [code, room] of rooms) {
+        const player = room.players.get(socket.id);
+        if (!player) continue;
+        player.connected = false;
+        pushLog(room, msg('log.disconnected', { name: player.name, seconds: RECONNECT_GRACE_MS / 1000 }));
+        startGraceTimer(room, socket.id);
+        emitRoomState(room);
+      }
+    });
 
-  if (room.status === 'guessing' && room.guessAttempts) {
-    if (socket.id === room.thinkerSocketId) return;
+    return handlers;
+  }
 
-    // Se il giocatore non ha tentativi, ignora (già finiti)
-    if (!room.guessAttempts.hasOwnProperty(socket.id) || room.guessAttempts[socket.id] <= 0) return;
+  io.on('connection', (socket) => {
+    // the language for the texts of 'system:error' (io({ auth: { language } }), then session:language)
+    socket.data.language = pickLanguage(socket.handshake.auth && socket.handshake.auth.language);
+    socket.data.buckets = {};
+    socket.data.queue = Promise.resolve();
+    const handlers = socketHandlers(socket);
+    for (const event in handlers) {
+      if (event !== 'disconnect') guardedHandler(socket, event, handlers[event]);
+    }
+    socket.on('disconnect', () => {
+      handlers.disconnect();
+      // its rooms may live on other instances too
+      if (cluster.distributed) io.serverSideEmit('cluster:event', { to: null, socketId: socket.id, event: 'disconnect' });
+    });
+  });
 
-    // stop timer del giocatore
-    if (room.guessTimers[socket.id]) clearTimeout(room.guessTimers[socket.id]);
+  // events forwarded by the other instances for the rooms running here (to: null -> for every instance)
+  io.on('cluster:event', ({ to, socketId, address, language, event, payload }) => {
+    if (to && to !== cluster.instanceId) return;
+    const socket = remoteSocket(socketId, address, language);
+    const handler = socketHandlers(socket)[event];
+    if (handler) runHandler(socket, event, handler, payload);
+  });
 
-    room.guessAttempts[socket.id]--;
-    pushLog(room, `⏱ ${player.name} ha tentato: "${guess}" -- Tentativi rimasti: ${room.guessAttempts[socket.id]}`);
-    io.to(code).emit('guess:new', {
-      by: socket.id,
-      name: player.name,
-      text: guess,
-      correct: correct
-    });
+  /* --- Amministrazione e osservabilità --- */
+  // timers a room is holding right now: a number that only grows points to a leak
+  function roomTimers(room) {
+    return {
+      turn: room.turnTimer ? 1 : 0,
+      guess: Object.keys(room.guessTimers).length,
+      review: room.reviewTimer ? 1 : 0,
+      bot: Object.keys(room.botTimers).length,
+      grace: Array.from(room.players.values()).filter(p => p.graceTimer).length
+    };
+  }
+  // the same from a room's shared snapshot (serializeRoom), for the rooms of other instances
+  function savedRoomSummary(snap) {
+    const players = snap.players.map(([, p]) => p);
+    const nameOf = id => snap.players.find(([pid]) => pid === id)?.[1].name || null;
+    return {
+      code: snap.code,
+      status: snap.status,
+      paused: !!snap.paused,
+      isPrivate: snap.isPrivate,
+      locked: snap.locked,
+      host: nameOf(snap.hostId),
+      thinker: nameOf(snap.thinkerSocketId),
+      players: players.length,
+      bots: players.filter(p => p.bot).length,
+      asked: snap.asked,
+      maxQuestions: snap.settings.maxQuestions,
+      roundId: snap.roundStartedAt ? snap.roundId : null,
+      roundStartedAt: snap.roundStartedAt,
+      savedAt: snap.savedAt
+    };
+  }
+  function adminRoomSummary(room) {
+    const players = Array.from(room.players.values());
+    return {
+      code: room.code,
+      status: room.status,
+      paused: !!room.paused,
+      isPrivate: room.isPrivate,
+      locked: room.locked,
+      host: room.players.get(room.hostId)?.name || null,
+      thinker: room.players.get(room.thinkerSocketId)?.name || null,
+      players: players.length,
+      connected: players.filter(p => p.connected && !p.bot).length,
+      bots: players.filter(p => p.bot).length,
+      asked: room.asked,
+      maxQuestions: room.settings.maxQuestions,
+      roundId: room.roundStartedAt ? room.roundId : null,
+      roundStartedAt: room.roundStartedAt,
+      timers: roomTimers(room)
+    };
+  }
 
-    if (correct) {
-      return endRoundAndRotate(code, `${player.name} ha indovinato!`, socket.id);
+  // gauges of this instance for /metrics (the counters live in lib/metrics.js)
+  function metricGauges() {
+    const all = Array.from(rooms.values());
+    const players = all.flatMap(room => Array.from(room.players.values()));
+    const timers = {};
+    for (const room of all) {
+      for (const [kind, count] of Object.entries(roomTimers(room))) timers[kind] = (timers[kind] || 0) + count;
     }
+    return {
+      rooms: {
+        help: 'Rooms running on this instance by status',
+        values: ['waiting', 'playing', 'guessing'].map(status => ({ labels: { status }, value: all.filter(r => r.status === status).length }))
+      },
+      players: {
+        help: 'Seats in the rooms of this instance by role (bots included)',
+        values: ['thinker', 'guesser', 'spectator'].map(role => ({ labels: { role }, value: players.filter(p => p.role === role).length }))
+      },
+      players_connected: {
+        help: 'Human players connected to their seat',
+        values: [{ value: players.filter(p => p.connected && !p.bot).length }]
+      },
+      sockets: { help: 'Sockets connected to this instance', values: [{ value: io.of('/').sockets.size }] },
+      timers: {
+        help: 'Timers held by the rooms of this instance (kind: turn, guess, review, bot, grace)',
+        values: Object.entries(timers).map(([kind, value]) => ({ labels: { kind }, value }))
+      },
+      pending_saves: { help: 'Room snapshots waiting to be saved', values: [{ value: pendingSaves.size }] }
+    };
+  }
 
-    if (room.guessAttempts[socket.id] > 0) startSingleGuessTimer(room, socket.id);
+  // admin actions run where the room lives (like routeEvent); false when it isn't here
+  function runAdminAction(code, action, text) {
+    const room = rooms.get(code);
+    if (!room) return false;
+    if (action === 'end' && room.status !== 'waiting') endRoundAndRotate(code, msg('round.endedByAdmin'), null, true);
+    else if (action === 'close') closeRoom(room);
+    else if (action === 'message') pushLog(room, msg('log.admin', { text }));
+    return true;
+  }
+  io.on('cluster:admin', ({ to, code, action, text }) => {
+    if (to === cluster.instanceId) runAdminAction(code, action, text);
+  });
 
-    checkGuessPhaseEnd(room);
-    return;
+  // ADMIN_TOKEN enables the admin API (and /metrics): requests carry "Authorization: Bearer <token>"
+  const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+  function sameSecret(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+  }
+  function isAdmin(req) {
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    return !!ADMIN_TOKEN && scheme === 'Bearer' && !!token && sameSecret(token, ADMIN_TOKEN);
+  }
+  function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) return httpError(req, res, 503, msg('api.adminDisabled'));
+    if (!isAdmin(req)) return httpError(req, res, 401, msg('api.unauthorized'));
+    next();
   }
 
-  // playing-phase guess
-  room.guesses.push({ by: socket.id, text: guess, correct });
-  io.to(code).emit('guess:new', { by: socket.id, name: player.name, text: guess, correct });
-  if (correct) return endRoundAndRotate(code, `${player.name} ha indovinato!`, socket.id);
+  // REST errors are catalog messages like the socket ones: rendered in ?lang= (or Accept-Language), and sent as they are
+  function httpError(req, res, status, message) {
+    const language = pickLanguage(req.query.lang || req.acceptsLanguages(...LANGUAGES));
+    res.status(status).json({ error: translate(language, message), key: message.key, params: message.params });
+  }
 
-  // wrong guess counts as used question
-  room.asked++;
-  io.to(code).emit('counter:update', { asked: room.asked, max: room.maxQuestions });
-  if (room.asked >= room.maxQuestions) startGuessPhase(code);
-  else {
-    // advance turn
-    if (room.turnOrder.length > 0) {
-      room.turnIdx = (room.turnIdx + 1) % room.turnOrder.length;
-      const nextId = room.turnOrder[room.turnIdx];
-      io.to(code).emit('turn:now', { socketId: nextId, name: room.players.get(nextId)?.name });
-      startAskTimer(room);
+  // a room running on another instance gets the action through the cluster (202: sent, not yet done);
+  // a shared room nobody runs anymore is taken over here first
+  async function adminRoomAction(req, res, code, action, text) {
+    const owner = rooms.has(code) ? cluster.instanceId : cluster.distributed && await claimRoom(code, false);
+    if (!owner) return httpError(req, res, 404, msg('error.roomNotFound'));
+    if (owner !== cluster.instanceId) {
+      io.serverSideEmit('cluster:admin', { to: owner, code, action, text });
+      return res.status(202).json({ code, action, instance: owner });
     }
+    if (action === 'end' && rooms.get(code).status === 'waiting') return httpError(req, res, 409, msg('error.noRound'));
+    runAdminAction(code, action, text);
+    res.json({ code, action, instance: cluster.instanceId });
   }
-});
 
+  // liveness for the load balancer: no auth, nothing secret
+  app.get('/healthz', (req, res) => {
+    res.json({
+      status: 'ok',
+      instance: cluster.instanceId,
+      uptime: Math.round(process.uptime()),
+      rooms: rooms.size,
+      sockets: io.of('/').sockets.size
+    });
+  });
 
-  // chat
-  socket.on('chat:message', ({ code, name, text }) => {
-    const room = rooms.get(code);
-    if (!room) return;
-    const msg = { name, text };
-    room.chat.push(msg);
-    io.to(code).emit('chat:message', msg);
+  app.get('/metrics', requireAdmin, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render(metricGauges()));
   });
 
-  socket.on('disconnect', () => {
-    for (const [code, room] of rooms) {
-      if (!room.players.has(socket.id)) continue;
-      const player = room.players.get(socket.id);
-      room.players.delete(socket.id);
-      if (player) pushLog(room, `🚪 ${player.name} si è disconnesso`);
+  /* REST: amministrazione (stanze di tutte le istanze; le azioni raggiungono l'istanza che tiene la stanza) */
+  app.get('/api/admin/rooms', requireAdmin, async (req, res) => {
+    try {
+      const list = Array.from(rooms.values(), room => ({ instance: cluster.instanceId, ...adminRoomSummary(room) }));
+      // the others' rooms as they last shared them
+      for (const code of cluster.distributed ? await cluster.roomCodes() : []) {
+        if (rooms.has(code)) continue;
+        const saved = await cluster.loadRoom(code);
+        if (saved) list.push({ instance: await cluster.leaseOwner(roomLease(code)), ...savedRoomSummary(saved) });
+      }
+      res.json({ instance: cluster.instanceId, rooms: list });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
 
-      if (socket.id === room.thinkerSocketId) {
-        clearTurnTimer(room);
-        io.to(code).emit('round:ended', {
-          message: 'Il Pensatore ha lasciato la stanza. Round terminato.',
+  app.get('/api/admin/rooms/:code', requireAdmin, async (req, res) => {
+    const code = req.params.code.toUpperCase();
+    const room = rooms.get(code);
+    try {
+      if (room) {
+        return res.json({
+          instance: cluster.instanceId,
+          ...adminRoomSummary(room),
+          settings: room.settings,
           secretWord: room.secretWord,
-          questions: room.questions,
-          guesses: room.guesses,
-          winnerId: null
+          snapshot: roomSnapshot(room),
+          logs: room.logs.slice(-50).map(m => translate(DEFAULT_LANGUAGE, m))
         });
-        rooms.delete(code);
-      } else {
-        // remove from turnOrder
-        room.turnOrder = room.turnOrder.filter(id => id !== socket.id);
-        if (room.turnIdx >= room.turnOrder.length) room.turnIdx = 0;
-        if (room.status === 'playing') {
-          // if it was that player's turn, advance
-          if (room.turnOrder.length > 0) {
-            io.to(code).emit('room:state', publicRoomState(room));
-            io.to(code).emit('turn:now', { socketId: room.turnOrder[room.turnIdx], name: room.players.get(room.turnOrder[room.turnIdx])?.name });
-            startAskTimer(room);
-          } else {
-            clearTurnTimer(room);
-            io.to(code).emit('room:state', publicRoomState(room));
-          }
-        } else {
-          io.to(code).emit('room:state', publicRoomState(room));
-        }
       }
+      // elsewhere: the same view from the last copy it shared (never the seats' tokens or the password hash)
+      const owner = cluster.distributed && await cluster.leaseOwner(roomLease(code));
+      const saved = owner && await cluster.loadRoom(code);
+      if (!saved) return httpError(req, res, 404, msg('error.roomNotFound'));
+      res.json({
+        instance: owner,
+        ...savedRoomSummary(saved),
+        settings: saved.settings,
+        secretWord: saved.secretWord,
+        logs: (saved.logs || []).slice(-50).map(m => translate(DEFAULT_LANGUAGE, m))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // the round ends void, the Thinker role rotates as usual
+  app.post('/api/admin/rooms/:code/end', requireAdmin, (req, res) => {
+    adminRoomAction(req, res, req.params.code.toUpperCase(), 'end').catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  app.delete('/api/admin/rooms/:code', requireAdmin, (req, res) => {
+    adminRoomAction(req, res, req.params.code.toUpperCase(), 'close').catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  // { text, code? }: to one room's log, or to every connected client
+  app.post('/api/admin/broadcast', requireAdmin, express.json({ limit: '8kb' }), (req, res) => {
+    const text = typeof req.body.text === 'string' ? req.body.text.replace(/\s+/g, ' ').trim().slice(0, 300) : '';
+    if (!text) return httpError(req, res, 400, msg('api.emptyMessage'));
+    if (req.body.code) {
+      return adminRoomAction(req, res, String(req.body.code).toUpperCase(), 'message', text).catch(err => res.status(500).json({ error: err.message }));
+    }
+    io.emit('system:broadcast', { text });
+    res.json({ sent: true });
+  });
+
+  /* REST: storico dei round (le stanze private solo per l'admin) */
+  // a private room's replay is for the admin and for the room's players: round:ended gives them the round's ?token=
+  // (a replay-only token: links end up in histories and logs, a seat's token must not)
+  function canReplay(req, round) {
+    if (!round.isPrivate || isAdmin(req)) return true;
+    const token = typeof req.query.token === 'string' ? req.query.token : null;
+    return !!token && !!round.replayToken && sameSecret(token, round.replayToken);
+  }
+  // records as they are sent: without their replay token
+  function roundRecord({ replayToken, ...round }) {
+    return round;
+  }
+
+  app.get('/api/rounds', async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(1, Math.floor(Number(req.query.limit) || 50)), 500);
+      res.json((await storage.listRounds({ code: req.query.code, limit, includePrivate: isAdmin(req) })).map(roundRecord));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
     }
-    io.emit('rooms:update', listRooms());
   });
 
-});
+  // replay of one round: ?format=md for the transcript (in ?lang=, default Italian), JSON otherwise (both as a download)
+  app.get('/api/rounds/:id/replay', async (req, res) => {
+    try {
+      const round = await storage.getRound(req.params.id);
+      if (!round) return httpError(req, res, 404, msg('api.roundNotFound'));
+      if (!canReplay(req, round)) return httpError(req, res, 403, msg('api.privateRound'));
+      const markdown = req.query.format === 'md';
+      res.attachment(`round-${round.code}-${round.id}.${markdown ? 'md' : 'json'}`);
+      if (markdown) res.type('text/markdown').send(toMarkdown(round, pickLanguage(req.query.lang)));
+      else res.send(JSON.stringify(roundRecord(round), null, 2));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /* REST: pacchetti di parole (inclusi in ./packs + caricati dagli utenti) */
+  app.get('/api/packs', (req, res) => {
+    const { language } = req.query;
+    res.json(packs.list().filter(p => !language || p.language === language));
+  });
+
+  app.get('/api/packs/:id', (req, res) => {
+    const pack = packs.get(req.params.id);
+    if (!pack) return httpError(req, res, 404, msg('api.packNotFound'));
+    res.json(pack);
+  });
+
+  // uploads and deletions are for the admin: a pack is shown to every room
+  app.post('/api/packs', requireAdmin, express.json({ limit: '256kb' }), async (req, res) => {
+    const checked = validatePack(req.body);
+    if (checked.error) return httpError(req, res, 400, checked.error);
+    const addError = packs.add(checked.pack);
+    if (addError) return httpError(req, res, 409, addError);
+    try {
+      await storage.savePack(checked.pack);
+      res.status(201).json(packs.list().find(p => p.id === checked.pack.id));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.delete('/api/packs/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
+    if (!packs.get(id)) return httpError(req, res, 404, msg('api.packNotFound'));
+    if (packs.isBundled(id)) return httpError(req, res, 403, msg('api.bundledPack'));
+    packs.remove(id);
+    try {
+      await storage.deletePack(id);
+      res.status(204).end();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /* On shutdown (deploys send SIGTERM) save every room right away */
+  async function shutdown() {
+    clearInterval(leaseTimer);
+    for (const t of pendingSaves.values()) clearTimeout(t);
+    pendingSaves.clear();
+    await Promise.all(Array.from(rooms.values(), room => {
+      const snapshot = serializeRoom(room);
+      // the lease goes back right away: another instance can take the room over without waiting for it to expire
+      return Promise.all([
+        storage.saveRoom(snapshot),
+        cluster.saveRoom(snapshot).then(() => cluster.releaseLease(roomLease(room.code)))
+      ]).catch(() => {});
+    }));
+    await storage.close();
+    await cluster.close().catch(() => {});
+  }
+
+  // stops without saving anything: the rooms' timers, the sockets and the listener
+  async function close() {
+    clearInterval(leaseTimer);
+    for (const code of Array.from(rooms.keys())) unloadRoom(code);
+    await new Promise(resolve => io.close(() => resolve()));
+    await cluster.close().catch(() => {});
+  }
+
+  /* Start server static + listen */
+  app.use(express.static(path.join(__dirname, 'public')));
+  // resolves with the port (0 picks a free one); rejects when the cluster backend can't be reached
+  async function start(port) {
+    await cluster.connect();
+    await storage.loadPacks()
+      .then(saved => saved.forEach(pack => {
+        const error = packs.add(pack);
+        if (error) console.error(`[storage] pack ${pack.id} not loaded:`, translate(DEFAULT_LANGUAGE, error));
+      }))
+      .catch(err => console.error('[storage] cannot load packs:', err.message));
+    await storage.loadRooms()
+      .then(snapshots => Promise.all(snapshots.map(restoreSavedRoom)))
+      .catch(err => console.error('[storage] cannot restore rooms:', err.message));
+    leaseTimer = setInterval(() => renewLeases().catch(err => console.error('[cluster] leases:', err.message)), LEASE_RENEW_MS);
+    await new Promise(resolve => server.listen(port, resolve));
+    return server.address().port;
+  }
+
+  return { app, server, io, rooms, engine, start, shutdown, close };
+}
+
+if (require.main === module) {
+  const game = createGameServer();
+  const PORT = process.env.PORT || 3001;
+  game.start(PORT)
+    .then(() => console.log('Server listening on http://localhost:' + PORT))
+    .catch(err => {
+      console.error('[cluster] cannot connect:', err.message);
+      process.exit(1);
+    });
+  const stop = () => {
+    // a backend that doesn't answer must not keep the process alive
+    setTimeout(() => process.exit(1), 5000).unref();
+    game.shutdown().finally(() => process.exit(0));
+  };
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+}
 
-/* Start server static + listen */
-app.use(express.static(path.join(__dirname, 'public')));
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => console.log('Server listening on http://localhost:' + PORT));
+module.exports = { createGameServer };
@@ -0,0 +1,75 @@
+// test/cluster.test.js — due istanze sullo stesso hub: inoltro degli eventi alla stanza e subentro quando un'istanza si ferma
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHub } = require('../lib/cluster/local');
+const { next, settle, startServer } = require('./support');
+
+process.env.ADMIN_TOKEN = 'admin-secret'; // read when each server is created
+
+const logOf = key => m => m.key === key;
+
+let one, two;
+beforeEach(async () => {
+  const hub = createHub();
+  one = await startServer({ instanceId: 'one', hub, distributed: true });
+  two = await startServer({ instanceId: 'two', hub, distributed: true });
+});
+afterEach(async () => {
+  await one.close();
+  await two.close();
+});
+
+test("a player on another instance plays in the room through the room's instance", async () => {
+  const a = await one.connect();
+  const b = await two.connect();
+  await one.create(a, 'RM', 'Anna');
+  const joined = next(a, 'log:message', logOf('log.joined'));
+  await two.join(b, 'RM', 'Bruno');
+  assert.equal((await joined).params.name, 'Bruno');
+  assert.ok(!two.room('RM'));
+  assert.deepEqual(Array.from(one.room('RM').players.values(), p => p.name), ['Anna', 'Bruno']);
+
+  // the room's broadcasts reach both instances' sockets
+  const heardByA = next(a, 'chat:message');
+  const heardByB = next(b, 'chat:message');
+  b.emit('chat:message', { code: 'RM', text: 'ciao' });
+  assert.equal((await heardByA).text, 'ciao');
+  assert.equal((await heardByB).text, 'ciao');
+});
+
+test('a room left behind by a stopped instance is taken over with its players', async () => {
+  const a = await one.connect();
+  const b = await two.connect();
+  await one.create(a, 'RM', 'Anna');
+  await two.join(b, 'RM', 'Bruno');
+
+  // the snapshot is shared and the lease handed back: the next event for the room adopts it
+  await one.game.shutdown();
+  await one.close();
+  const adopted = next(b, 'log:message', logOf('log.adopted'));
+  const heard = next(b, 'chat:message');
+  b.emit('chat:message', { code: 'RM', text: 'ci sei?' });
+  await adopted;
+  assert.equal((await heard).text, 'ci sei?');
+  const room = two.room('RM');
+  assert.equal(room.players.get(b.id).connected, true);
+  assert.equal(room.players.get(b.id).graceTimer, null);
+});
+
+test("the admin sees a room on another instance without its secrets", async () => {
+  const a = await one.connect();
+  const token = next(a, 'session:token');
+  a.emit('room:create', { code: 'RM', name: 'Anna', password: 'segreta' });
+  const { token: seatToken } = await token;
+  await settle(700); // the snapshot is shared after the (delayed) save
+
+  const port = two.game.server.address().port;
+  const res = await fetch(`http://localhost:${port}/api/admin/rooms/RM`, { headers: { authorization: 'Bearer admin-secret' } });
+  assert.equal(res.status, 200);
+  const body = await res.text();
+  const room = JSON.parse(body);
+  assert.equal(room.instance, 'one');
+  assert.equal(room.host, 'Anna');
+  assert.ok(!body.includes(seatToken));
+  assert.ok(!body.includes('passwordHash'));
+});
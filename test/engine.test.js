@@ -0,0 +1,299 @@
+// test/engine.test.js — il motore da solo: orologio finto, eventi raccolti in un array
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine } = require('../lib/engine');
+const { DEFAULT_SETTINGS } = require('../lib/settings');
+const { createFakeClock } = require('./support');
+
+const WORD = { secretWord: 'gatto', aliases: [], category: null };
+
+// room T: a is the Thinker, the others guess in this order
+function setup(settings = {}, names = ['a', 'b', 'c']) {
+  const clock = createFakeClock();
+  const rooms = new Map();
+  const emitted = [];
+  const detached = [];
+  const rounds = [];
+  const engine = createEngine({
+    rooms,
+    clock,
+    sink: {
+      emit: (to, event, payload) => emitted.push({ to, event, payload }),
+      detach: (socketId, code) => detached.push(socketId),
+      save() {},
+      roundRecorded: record => rounds.push(record),
+      roomUnloaded() {},
+      lobbyChanged() {},
+      count() {}
+    }
+  });
+  engine.createRoom('T', { ...DEFAULT_SETTINGS, ...settings });
+  const room = rooms.get('T');
+  for (const id of names) {
+    room.players.set(id, { name: id.toUpperCase(), role: 'guesser', timeouts: 0, connected: true, score: 0, thinkerRounds: 0 });
+  }
+  room.players.get(names[0]).role = 'thinker';
+  room.thinkerSocketId = names[0];
+  room.hostId = names[0];
+  const sent = event => emitted.filter(e => e.event === event).map(e => e.payload);
+  const logged = key => sent('log:message').filter(m => m.key === key);
+  return { clock, rooms, room, engine, detached, rounds, sent, logged };
+}
+
+test('an ask timeout costs a question and passes the turn', () => {
+  const { clock, room, engine, logged } = setup();
+  engine.startRound(room, WORD);
+  assert.deepEqual(room.turnOrder, ['b', 'c']);
+  clock.tick(DEFAULT_SETTINGS.askSeconds * 1000 - 1);
+  assert.equal(room.turnIdx, 0);
+  clock.tick(1);
+  assert.equal(room.turnOrder[room.turnIdx], 'c');
+  assert.equal(room.asked, 1);
+  assert.equal(room.players.get('b').timeouts, 1);
+  assert.equal(logged('log.askTimeout').length, 1);
+});
+
+test('handleAskTimeout expels a player at maxTimeouts', () => {
+  const { clock, room, engine, detached, sent, logged } = setup({ maxTimeouts: 2 });
+  engine.startRound(room, WORD);
+  clock.tick(60000 * 3); // b, c, b again
+  assert.ok(!room.players.has('b'));
+  assert.deepEqual(detached, ['b']);
+  assert.equal(sent('room:kicked').length, 1);
+  assert.equal(logged('log.expelledIdle').length, 1);
+  assert.deepEqual(room.turnOrder, ['c']);
+  assert.equal(room.turnOrder[room.turnIdx], 'c');
+  assert.equal(room.status, 'playing');
+});
+
+test('a stale ask timeout does nothing', () => {
+  const { room, engine } = setup();
+  engine.startRound(room, WORD);
+  engine.handleAskTimeout(room, 'c'); // it is b's turn
+  assert.equal(room.asked, 0);
+  assert.equal(room.players.get('c').timeouts, 0);
+});
+
+test('the guess phase starts when the budget is spent', () => {
+  const { clock, room, engine, sent } = setup({ maxQuestions: 2, guessAttempts: 2 });
+  engine.startRound(room, WORD);
+  clock.tick(60000 * 2);
+  assert.equal(room.status, 'guessing');
+  assert.deepEqual(room.guessAttempts, { b: 2, c: 2 });
+  assert.equal(room.turnTimer, null);
+  assert.deepEqual(Object.keys(room.guessDeadlines).sort(), ['b', 'c']);
+  assert.ok(sent('timer:start').some(t => t.type === 'guess' && t.targetId === 'c'));
+});
+
+test('in team mode each team shares one set of attempts', () => {
+  const { room, engine } = setup({ teamMode: true, guessAttempts: 3 }, ['a', 'b', 'c', 'd', 'e']);
+  engine.startRound(room, WORD);
+  engine.startGuessPhase('T');
+  assert.deepEqual(room.guessAttempts, { 'team:0': 3, 'team:1': 3 });
+});
+
+test("a team's guess timeout is sent as a message, for each client to translate", () => {
+  const { clock, room, engine, sent } = setup({ teamMode: true, guessAttempts: 3 }, ['a', 'b', 'c', 'd', 'e']);
+  engine.startRound(room, WORD);
+  engine.startGuessPhase('T');
+  clock.tick(DEFAULT_SETTINGS.guessSeconds * 1000);
+  const timeouts = sent('guess:new').filter(g => g.timeout);
+  assert.equal(timeouts.length, 2);
+  assert.deepEqual(timeouts[0].name, { key: 'team.0', params: {} });
+  assert.equal(timeouts[0].text, null);
+});
+
+test('the round ends for the Thinker once every attempt is used', () => {
+  const { clock, room, engine, sent, rounds } = setup({ maxQuestions: 1, guessAttempts: 2 });
+  engine.startRound(room, WORD);
+  engine.startGuessPhase('T');
+  clock.tick(60000);
+  assert.deepEqual(room.guessAttempts, { b: 1, c: 1 });
+  clock.tick(60000);
+  const [ended] = sent('round:ended');
+  assert.equal(ended.message.key, 'round.noAttemptsLeft');
+  assert.equal(ended.winnerId, 'a');
+  assert.equal(ended.points.points, 5);
+  assert.equal(rounds.length, 1);
+  assert.equal(room.status, 'waiting');
+  assert.ok(clock.pending() <= 1); // at most the pending snapshot
+});
+
+test('checkGuessPhaseEnd waits for a guess under review', () => {
+  const { room, engine, sent } = setup();
+  engine.startRound(room, WORD);
+  engine.startGuessPhase('T');
+  room.guessAttempts = { b: 0, c: 0 };
+  room.pendingGuess = { by: 'b', text: 'gato', phase: 'guessing', deadline: 0 };
+  engine.checkGuessPhaseEnd(room);
+  assert.equal(sent('round:ended').length, 0);
+  room.pendingGuess = null;
+  engine.checkGuessPhaseEnd(room);
+  assert.equal(sent('round:ended').length, 1);
+});
+
+test('another ending of the secret word goes to the Thinker, a plural wins', () => {
+  const { room, engine, sent } = setup();
+  engine.startRound(room, { secretWord: 'porta', aliases: [], category: null });
+  engine.submitGuess(room, 'b', 'porto');
+  assert.equal(room.pendingGuess.text, 'porto');
+  assert.equal(sent('round:ended').length, 0);
+  engine.resolveGuessReview(room, false);
+  engine.submitGuess(room, 'c', 'le porte');
+  assert.equal(sent('round:ended')[0].winnerId, 'c');
+});
+
+test('the other guess clocks wait while the Thinker reviews a guess', () => {
+  const { clock, room, engine } = setup({ maxQuestions: 1, guessAttempts: 2 });
+  engine.startRound(room, WORD);
+  engine.startGuessPhase('T');
+  clock.tick(10000);
+  engine.submitGuess(room, 'b', 'gato');
+  assert.ok(room.pendingGuess);
+  clock.tick(DEFAULT_SETTINGS.reviewSeconds * 1000 - 1);
+  assert.deepEqual(room.guessAttempts, { b: 2, c: 2 });
+  engine.resolveGuessReview(room, false);
+  assert.deepEqual(room.guessAttempts, { b: 1, c: 2 });
+  clock.tick(50000 - 1);
+  assert.equal(room.guessAttempts.c, 2);
+  clock.tick(1);
+  assert.equal(room.guessAttempts.c, 1);
+});
+
+test('the Thinker can not guess their own word', () => {
+  const { room, engine, sent } = setup({ maxQuestions: 1 });
+  engine.startRound(room, WORD);
+  assert.equal(engine.submitGuess(room, 'a', 'gatto').code, 'THINKER_GUESS');
+  engine.startGuessPhase('T');
+  assert.equal(engine.submitGuess(room, 'a', 'gatto').code, 'THINKER_GUESS');
+  assert.equal(sent('round:ended').length, 0);
+  assert.equal(room.players.get('a').score, 0);
+});
+
+test("a guesser bot asks in the room's language", () => {
+  const { clock, room, engine } = setup();
+  room.language = 'en'; // no kb/en.json: the bot has no candidates and falls back on the catalog
+  room.players.get('b').bot = { strategy: 'knowledge-base', difficulty: 'hard', fixedThinker: false };
+  engine.startRound(room, WORD);
+  clock.tick(5000);
+  assert.equal(room.questions[0].text, 'Is it something common?');
+});
+
+test('a restored room snapshots in a new epoch', () => {
+  const { room, rooms, engine } = setup();
+  room.version = 7;
+  const snap = engine.serializeRoom(room);
+  engine.unloadRoom('T');
+  engine.restoreRoom(snap);
+  const restored = rooms.get('T');
+  assert.equal(engine.roomSnapshot(restored).version, 7);
+  assert.notEqual(engine.roomSnapshot(restored).epoch, engine.roomSnapshot(room).epoch);
+});
+
+test('rotateThinker hands the seat to the first player of the turn order', () => {
+  const { room, engine } = setup();
+  engine.startRound(room, WORD);
+  engine.endRoundAndRotate('T', { key: 'round.won', params: {} }, null, true);
+  assert.equal(room.thinkerSocketId, 'b');
+  assert.equal(room.players.get('a').role, 'guesser');
+  assert.deepEqual(room.turnOrder, ['a', 'c']);
+});
+
+test('in a match rotateThinker picks who has been Thinker the fewest times', () => {
+  const { room, engine } = setup({ matchRounds: 2 });
+  room.players.get('b').thinkerRounds = 1;
+  engine.rotateThinker(room);
+  assert.equal(room.thinkerSocketId, 'c');
+  assert.deepEqual(room.turnOrder, ['a', 'b']);
+});
+
+test('a paused round keeps its time left', () => {
+  const { clock, room, engine } = setup();
+  engine.startRound(room, WORD);
+  clock.tick(20000);
+  engine.pauseRound(room, 'a');
+  clock.tick(600000);
+  assert.equal(room.asked, 0);
+  engine.resumeRound(room);
+  clock.tick(39999);
+  assert.equal(room.asked, 0);
+  clock.tick(1);
+  assert.equal(room.asked, 1);
+});
+
+test('the last human leaving unloads the room', () => {
+  const { rooms, room, engine, clock } = setup();
+  engine.startRound(room, WORD);
+  for (const id of ['b', 'c', 'a']) engine.removePlayer(room, id, { key: 'log.left', params: {} });
+  assert.equal(rooms.size, 0);
+  clock.tick(600000);
+  assert.equal(clock.pending(), 0);
+});
+
+test('the Thinker gives hints up to maxHints, each word hint once', () => {
+  const { room, engine, sent, logged } = setup({ maxHints: 3 });
+  engine.startRound(room, { ...WORD, secretWord: 'gatto nero' });
+  assert.equal(engine.giveHint(room, 'text', 'fa le fusa'), null);
+  assert.equal(engine.giveHint(room, 'letters'), null);
+  assert.equal(engine.giveHint(room, 'letters').code, 'HINT_REVEALED');
+  assert.equal(engine.giveHint(room, 'firstLetter'), null);
+  assert.equal(engine.giveHint(room, 'text', 'nero').code, 'HINT_LIMIT');
+  assert.deepEqual(room.hints.map(h => h.reveal), [null, { letters: 9, words: 2 }, { letter: 'G' }]);
+  assert.equal(sent('hint:new').length, 3);
+  assert.equal(logged('log.hint').length, 3);
+  assert.equal(room.asked, 0);
+});
+
+test('a bought hint costs questions and points, and may end the questions', () => {
+  const { room, engine, sent, rounds } = setup({ maxQuestions: 4, hintQuestionCost: 2, hintPointCost: 5 });
+  engine.startRound(room, WORD);
+  assert.equal(engine.buyHint(room, 'b').code, 'HINT_POINTS');
+  room.players.get('b').score = 6;
+  assert.equal(engine.buyHint(room, 'b'), null);
+  assert.equal(room.asked, 2);
+  assert.equal(room.players.get('b').score, 1);
+  assert.deepEqual(room.hints[0], { id: 1, kind: 'letters', by: 'b', text: null, reveal: { letters: 5, words: 1 }, cost: { questions: 2, points: 5 } });
+  assert.equal(room.turnOrder[room.turnIdx], 'b'); // still b's turn to ask
+
+  room.settings.hintPointCost = 0;
+  assert.equal(engine.buyHint(room, 'b'), null);
+  assert.equal(room.hints[1].kind, 'firstLetter');
+  assert.equal(room.status, 'guessing');
+
+  engine.endRoundAndRotate('T', { key: 'round.won', params: {} }, 'a');
+  assert.equal(sent('round:ended')[0].hints.length, 2);
+  assert.deepEqual(rounds[0].hints.map(h => h.byName), ['B', 'B']);
+  assert.deepEqual(rounds[0].events.filter(e => e.type === 'hint').map(e => e.kind), ['letters', 'firstLetter']);
+  assert.deepEqual(room.hints, []);
+});
+
+test('hints can not be bought when the room says so, or with too few questions left', () => {
+  const { room, engine } = setup({ maxQuestions: 3, hintQuestionCost: 3 });
+  engine.startRound(room, WORD);
+  room.asked = 1;
+  assert.equal(engine.buyHint(room, 'b').code, 'HINT_QUESTIONS');
+  room.settings.buyHints = false;
+  assert.equal(engine.buyHint(room, 'b').code, 'HINTS_NOT_FOR_SALE');
+});
+
+test('a room keeps only its latest log lines', () => {
+  const { room, engine } = setup();
+  for (let i = 0; i < 250; i++) engine.pushLog(room, { key: 'log.admin', params: { text: String(i) } });
+  assert.equal(room.logs.length, 200);
+  assert.equal(room.logs[0].params.text, '50');
+  assert.equal(engine.serializeRoom(room).logs.length, 200);
+});
+
+test('a spectator who only watches never gets the Thinker seat', () => {
+  const { room, engine, logged } = setup({}, ['a', 'b']);
+  room.players.get('b').role = 'spectator';
+  engine.removePlayer(room, 'a', { key: 'log.left', params: {} });
+  assert.equal(room.thinkerSocketId, null);
+  assert.equal(room.players.get('b').role, 'spectator');
+
+  room.players.get('b').role = 'guesser'; // b chooses to play
+  engine.fillThinkerSeat(room);
+  assert.equal(room.thinkerSocketId, 'b');
+  assert.equal(room.players.get('b').role, 'thinker');
+  assert.equal(logged('log.newThinker').length, 1);
+});
@@ -0,0 +1,328 @@
+// test/integration.test.js — client socket.io veri contro un server in-process con l'orologio finto
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { RECONNECT_GRACE_MS } = require('../lib/engine');
+const { next, settle, startServer } = require('./support');
+
+const logOf = key => m => m.key === key;
+
+let t;
+beforeEach(async () => {
+  t = await startServer();
+});
+afterEach(() => t.close());
+
+// A creates room RM and thinks, B and C join; the round starts with B to ask
+async function playing(settings) {
+  const a = await t.connect();
+  const b = await t.connect();
+  const c = await t.connect();
+  await t.create(a, 'RM', 'Anna', settings);
+  const tokenB = await t.join(b, 'RM', 'Bruno');
+  await t.join(c, 'RM', 'Carla');
+  // every client has seen the first turn: later turn:now events are new ones
+  const turns = [a, b, c].map(s => next(s, 'turn:now'));
+  a.emit('round:start', { code: 'RM', secretWord: 'gatto' });
+  for (const turn of turns) assert.equal((await turn).name, 'Bruno');
+  return { a, b, c, tokenB };
+}
+
+test('a joining player gets the room and is announced to the others', async () => {
+  const a = await t.connect();
+  const b = await t.connect();
+  await t.create(a, 'RM', 'Anna');
+  const joined = next(a, 'log:message', logOf('log.joined'));
+  const snapshot = next(b, 'room:snapshot');
+  await t.join(b, 'RM', 'Bruno');
+  assert.equal((await joined).params.name, 'Bruno');
+  const snap = await snapshot;
+  assert.deepEqual(snap.players.map(p => [p.name, p.role]), [['Anna', 'thinker'], ['Bruno', 'guesser']]);
+  assert.equal(snap.thinkerId, a.id);
+});
+
+test('a wrong password keeps a player out', async () => {
+  const a = await t.connect();
+  const b = await t.connect();
+  const token = next(a, 'session:token');
+  a.emit('room:create', { code: 'RM', name: 'Anna', password: 'segreta' });
+  await token;
+  const error = next(b, 'system:error');
+  b.emit('room:join', { code: 'RM', name: 'Bruno', password: 'sbagliata' });
+  assert.equal((await error).code, 'WRONG_PASSWORD');
+  assert.equal(t.room('RM').players.size, 1);
+});
+
+test('the player on turn leaving passes the turn on', async () => {
+  const { a, b, c } = await playing();
+  const turn = next(c, 'turn:now');
+  const left = next(a, 'log:message', logOf('log.left'));
+  b.emit('room:leave', { code: 'RM' });
+  assert.equal((await turn).name, 'Carla');
+  assert.equal((await left).params.name, 'Bruno');
+  assert.deepEqual(t.room('RM').turnOrder, [c.id]);
+});
+
+test('the Thinker leaving voids the round and the seat rotates', async () => {
+  const { a, b } = await playing();
+  const ended = next(b, 'round:ended');
+  a.emit('room:leave', { code: 'RM' });
+  const round = await ended;
+  assert.equal(round.void, true);
+  assert.equal(round.message.key, 'round.thinkerLeft');
+  assert.equal(t.room('RM').thinkerSocketId, b.id);
+  assert.equal(t.room('RM').status, 'waiting');
+});
+
+test('a disconnected player keeps the seat for the grace period and can rejoin', async () => {
+  const { a, b, tokenB } = await playing();
+  const oldId = b.id; // the client forgets it on disconnect
+  const gone = next(a, 'log:message', logOf('log.disconnected'));
+  b.disconnect();
+  await gone;
+  const room = t.room('RM');
+  assert.equal(room.players.get(oldId).connected, false);
+  const pending = t.clock.pending(); // the grace timer among them
+
+  t.clock.tick(RECONNECT_GRACE_MS - 1000);
+  const b2 = await t.connect();
+  const resume = next(b2, 'room:resume');
+  b2.emit('room:rejoin', { code: 'RM', token: tokenB });
+  const state = await resume;
+  assert.equal(state.turn.socketId, b2.id);
+  assert.ok(!room.players.has(oldId));
+  assert.equal(room.players.get(b2.id).connected, true);
+  assert.equal(room.players.get(b2.id).graceTimer, null);
+
+  // the rejoin cancels the grace timer on the clock that started it
+  assert.equal(t.clock.pending(), pending - 1);
+  t.clock.tick(5000);
+  await settle();
+  assert.ok(room.players.has(b2.id));
+});
+
+test('a seat left empty for the whole grace period is freed', async () => {
+  const { a, b, c } = await playing();
+  const oldId = b.id;
+  const gone = next(a, 'log:message', logOf('log.disconnected'));
+  b.disconnect();
+  await gone;
+  const expired = next(a, 'log:message', logOf('log.graceExpired'));
+  const turn = next(c, 'turn:now');
+  t.clock.tick(RECONNECT_GRACE_MS);
+  assert.equal((await expired).params.name, 'Bruno');
+  assert.equal((await turn).name, 'Carla');
+  assert.ok(!t.room('RM').players.has(oldId));
+});
+
+test('the last player disconnecting for good closes the room', async () => {
+  const a = await t.connect();
+  await t.create(a, 'RM', 'Anna');
+  a.disconnect();
+  await settle();
+  assert.ok(t.room('RM'));
+  t.clock.tick(RECONNECT_GRACE_MS);
+  assert.equal(t.room('RM'), undefined);
+});
+
+test('ask timeouts pass the turn and expel an idle player', async () => {
+  const { a, b, c } = await playing({ maxTimeouts: 2, askSeconds: 10 });
+  const timeout = next(a, 'log:message', logOf('log.askTimeout'));
+  const turn = next(c, 'turn:now');
+  t.clock.tick(10000);
+  assert.equal((await timeout).params.name, 'Bruno');
+  assert.equal((await turn).name, 'Carla');
+
+  const kicked = next(b, 'room:kicked');
+  const expelled = next(a, 'log:message', logOf('log.expelledIdle'));
+  t.clock.tick(20000); // Carla's first timeout, then Bruno's second
+  assert.equal((await kicked).code, 'RM');
+  assert.equal((await expelled).params.name, 'Bruno');
+  assert.deepEqual(t.room('RM').turnOrder, [c.id]);
+});
+
+test('an unanswered question counts as "unknown"', async () => {
+  const { a, b } = await playing({ answerSeconds: 10 });
+  const asked = next(a, 'question:new');
+  b.emit('question:ask', { code: 'RM', text: 'È un animale?' });
+  const q = await asked;
+  const update = next(b, 'question:update');
+  t.clock.tick(10000);
+  const answered = await update;
+  assert.equal(answered.id, q.id);
+  assert.equal(answered.answer, 'unknown');
+  assert.equal(t.room('RM').players.get(a.id).timeouts, 1);
+});
+
+test('the guess phase ends for the Thinker when every attempt times out', async () => {
+  const { a, b, c } = await playing({ maxQuestions: 1, guessAttempts: 2, guessSeconds: 10 });
+  const asked = next(a, 'question:new');
+  b.emit('question:ask', { code: 'RM', text: 'È un animale?' });
+  const q = await asked;
+  const guessing = next(c, 'log:message', logOf('log.guessPhase'));
+  a.emit('question:answer', { code: 'RM', id: q.id, answer: 'yes' });
+  await guessing;
+  assert.equal(t.room('RM').status, 'guessing');
+
+  // a wrong guess uses one of Bruno's attempts, the clock takes the rest
+  const wrong = next(a, 'guess:new');
+  b.emit('guess:submit', { code: 'RM', text: 'cane' });
+  assert.equal((await wrong).correct, false);
+  const ended = next(c, 'round:ended');
+  t.clock.tick(20000);
+  const round = await ended;
+  assert.equal(round.message.key, 'round.noAttemptsLeft');
+  assert.equal(round.winnerId, a.id);
+  assert.equal(round.secretWord, 'gatto');
+  // the seat goes to whoever was next to ask
+  assert.equal(t.room('RM').thinkerSocketId, c.id);
+});
+
+test('a correct guess wins the round', async () => {
+  const { a, b, c } = await playing();
+  const ended = next(a, 'round:ended');
+  c.emit('guess:submit', { code: 'RM', text: 'Gatto' });
+  const round = await ended;
+  assert.equal(round.winnerId, c.id);
+  assert.equal(round.points.points, 10 + 20);
+  assert.equal(t.room('RM').thinkerSocketId, b.id);
+});
+
+test('only sockets in the lobby get its changes', async () => {
+  const lobby = await t.connect();
+  const a = await t.connect();
+  const list = next(lobby, 'rooms:update');
+  lobby.emit('rooms:list');
+  assert.deepEqual(await list, []);
+
+  let seenInRoom = 0;
+  a.on('rooms:changed', () => seenInRoom++);
+  const added = next(lobby, 'rooms:changed');
+  const token = next(a, 'session:token');
+  a.emit('room:create', { code: 'RM', name: 'Anna', title: 'Animali', language: 'en', category: 'animali' });
+  await token;
+  const { updated, removed } = await added;
+  assert.deepEqual(removed, []);
+  assert.equal(updated.length, 1);
+  assert.deepEqual(
+    updated[0],
+    { code: 'RM', title: 'Animali', language: 'en', category: 'animali', hasPassword: false, locked: false, players: 1, spectators: 0, maxPlayers: 0, status: 'waiting', joinsMidRound: true }
+  );
+
+  const gone = next(lobby, 'rooms:changed');
+  a.emit('room:leave', { code: 'RM' });
+  assert.deepEqual(await gone, { updated: [], removed: ['RM'] });
+  await settle();
+  assert.equal(seenInRoom, 0);
+});
+
+test('the lobby sees the rules it shows change', async () => {
+  const lobby = await t.connect();
+  const a = await t.connect();
+  await t.create(a, 'RM', 'Anna');
+  const list = next(lobby, 'rooms:update');
+  lobby.emit('rooms:list');
+  await list;
+
+  const changed = next(lobby, 'rooms:changed');
+  a.emit('room:settings', { code: 'RM', settings: { maxPlayers: 4, lateJoinWaits: true } });
+  const { updated } = await changed;
+  assert.equal(updated[0].maxPlayers, 4);
+  assert.equal(updated[0].joinsMidRound, false);
+});
+
+test('a made-up x-forwarded-for entry does not get around an address ban', async () => {
+  const a = await t.connect();
+  const b = await t.connect({ 'x-forwarded-for': '203.0.113.7' });
+  await t.create(a, 'RM', 'Anna');
+  await t.join(b, 'RM', 'Bruno');
+  const gone = next(b, 'room:kicked');
+  a.emit('host:ban', { code: 'RM', playerId: b.id });
+  await gone;
+
+  const again = await t.connect({ 'x-forwarded-for': '198.51.100.1, 203.0.113.7' });
+  const error = next(again, 'system:error');
+  again.emit('room:join', { code: 'RM', name: 'Nuovo' });
+  assert.equal((await error).key, 'error.banned');
+});
+
+test('quick match joins the fullest open room, or opens a new one', async () => {
+  const a = await t.connect();
+  const b = await t.connect();
+  const c = await t.connect();
+  await t.create(a, 'RM', 'Anna');
+  const token = next(b, 'session:token');
+  b.emit('lobby:quickMatch', { name: 'Bruno' });
+  assert.equal((await token).code, 'RM');
+  assert.equal(t.room('RM').players.get(b.id).role, 'guesser');
+
+  // no open room in English: a new one, with Carla as its Thinker
+  const created = next(c, 'session:token');
+  c.emit('lobby:quickMatch', { name: 'Carla', language: 'en' });
+  const { code } = await created;
+  assert.notEqual(code, 'RM');
+  const room = t.room(code);
+  assert.equal(room.language, 'en');
+  assert.equal(room.thinkerSocketId, c.id);
+});
+
+test('bots are named in the room language, and only join rooms in a language they know', async () => {
+  const a = await t.connect();
+  const token = next(a, 'session:token');
+  a.emit('room:create', { code: 'RM', name: 'Anna', language: 'it' });
+  await token;
+  const joined = next(a, 'log:message', logOf('log.botJoined'));
+  a.emit('host:addBot', { code: 'RM', role: 'guesser', difficulty: 'hard' });
+  assert.equal((await joined).params.name, '🤖 Bot esperto 1');
+
+  // only kb/it.json ships
+  const b = await t.connect();
+  const created = next(b, 'session:token');
+  b.emit('room:create', { code: 'EN', name: 'Ann', language: 'en' });
+  await created;
+  const refused = next(b, 'system:error');
+  b.emit('host:addBot', { code: 'EN', role: 'thinker' });
+  assert.equal((await refused).key, 'error.botLanguage');
+  assert.ok(!Array.from(t.room('EN').players.values()).some(p => p.bot));
+});
+
+test('rounds of a private room are only for its players', async () => {
+  const a = await t.connect();
+  const b = await t.connect();
+  const created = next(a, 'session:token');
+  a.emit('room:create', { code: 'RM', name: 'Anna', isPrivate: true });
+  const { token: seatToken } = await created;
+  await t.join(b, 'RM', 'Bruno');
+  const turn = next(b, 'turn:now');
+  a.emit('round:start', { code: 'RM', secretWord: 'gatto' });
+  await turn;
+  const ended = next(a, 'round:ended');
+  b.emit('guess:submit', { code: 'RM', text: 'gatto' });
+  const { roundId, replayToken } = await ended;
+  await settle();
+
+  const url = path => `http://localhost:${t.game.server.address().port}${path}`;
+  assert.deepEqual(await (await fetch(url('/api/rounds'))).json(), []);
+  const denied = await fetch(url(`/api/rounds/${roundId}/replay?lang=en`));
+  assert.equal(denied.status, 403);
+  assert.equal((await denied.json()).key, 'api.privateRound');
+  // a seat's token rejoins the room: it never opens a replay
+  assert.equal((await fetch(url(`/api/rounds/${roundId}/replay?token=${seatToken}`))).status, 403);
+  const allowed = await fetch(url(`/api/rounds/${roundId}/replay?token=${replayToken}`));
+  assert.equal(allowed.status, 200);
+  const record = await allowed.json();
+  assert.equal(record.secretWord, 'gatto');
+  assert.equal(record.replayToken, undefined);
+});
+
+test('only the admin uploads or deletes word packs', async () => {
+  const url = path => `http://localhost:${t.game.server.address().port}${path}`;
+  const upload = await fetch(url('/api/packs'), {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ id: 'mine', name: 'Mine', language: 'it', words: ['gatto'] })
+  });
+  assert.equal(upload.status, 503);
+  assert.equal((await upload.json()).key, 'api.adminDisabled');
+  assert.equal((await fetch(url('/api/packs/mine'))).status, 404);
+  assert.equal((await fetch(url('/api/packs/mine'), { method: 'DELETE' })).status, 503);
+});
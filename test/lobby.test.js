@@ -0,0 +1,41 @@
+// test/lobby.test.js — filtri della lobby e scelta della partita rapida
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesFilters, pickQuickMatch, diffEntries } = require('../lib/lobby');
+
+const entry = (code, extra = {}) => ({
+  code, title: null, language: 'it', category: null, hasPassword: false, locked: false,
+  players: 2, spectators: 0, maxPlayers: 0, status: 'waiting', joinsMidRound: true, ...extra
+});
+
+test('filters match the code or title, language, category and open seats', () => {
+  const room = entry('ZOO', { title: 'Animali del mondo', category: 'Animali', maxPlayers: 3 });
+  assert.ok(matchesFilters(room, { text: 'mondo', language: 'it', category: 'animali', open: true }));
+  assert.ok(matchesFilters(room, { text: 'zo' }));
+  assert.ok(!matchesFilters(room, { language: 'en' }));
+  assert.ok(!matchesFilters(room, { category: 'cibo' }));
+  assert.ok(!matchesFilters({ ...room, players: 3 }, { open: true }));
+  assert.ok(!matchesFilters({ ...room, status: 'playing', joinsMidRound: false }, { open: true }));
+  assert.ok(matchesFilters({ ...room, status: 'playing' }, { open: true }));
+});
+
+test('quick match prefers the fullest open room, waiting before playing', () => {
+  const rooms = [
+    entry('AAA', { players: 1 }),
+    entry('BBB', { players: 4, hasPassword: true }),
+    entry('CCC', { players: 3, status: 'playing' }),
+    entry('DDD', { players: 3 }),
+    entry('EEE', { players: 5, maxPlayers: 5 })
+  ];
+  assert.equal(pickQuickMatch(rooms).code, 'DDD');
+  assert.equal(pickQuickMatch(rooms, { language: 'en' }), null);
+  assert.equal(pickQuickMatch(rooms.slice(0, 1)).code, 'AAA');
+});
+
+test('diffEntries reports new, changed and removed rooms', () => {
+  const before = new Map([['AAA', entry('AAA')], ['BBB', entry('BBB')]]);
+  const after = new Map([['AAA', entry('AAA')], ['BBB', entry('BBB', { players: 3 })], ['CCC', entry('CCC')]]);
+  assert.deepEqual(diffEntries(before, after), { updated: [after.get('BBB'), after.get('CCC')], removed: [] });
+  assert.deepEqual(diffEntries(after, new Map()), { updated: [], removed: ['AAA', 'BBB', 'CCC'] });
+  assert.equal(diffEntries(after, after), null);
+});
@@ -0,0 +1,111 @@
+// test/support.js — orologio finto, server in-process e client socket.io per i test
+const { io } = require('socket.io-client');
+const { createGameServer } = require('../server');
+const { createStorage } = require('../lib/storage');
+const { createHub, createLocalCluster } = require('../lib/cluster/local');
+
+/**
+ * A clock that only moves with tick(ms): the timers due in that span run in deadline order,
+ * each one seeing now() at its own deadline (timers they start run too, if due).
+ */
+function createFakeClock(start = Date.UTC(2024, 0, 1)) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { id, at, fn }
+
+  function tick(ms = 0) {
+    const end = now + ms;
+    for (;;) {
+      let next = null;
+      for (const t of timers.values()) {
+        if (t.at <= end && (!next || t.at < next.at || (t.at === next.at && t.id < next.id))) next = t;
+      }
+      if (!next) break;
+      timers.delete(next.id);
+      now = next.at;
+      next.fn();
+    }
+    now = end;
+  }
+
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const id = nextId++;
+      timers.set(id, { id, at: now + Math.max(0, ms || 0), fn });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    tick,
+    pending: () => timers.size
+  };
+}
+
+/** The next `event` on a socket (matching `filter`, if given); fails after `ms` of real time. */
+function next(socket, event, filter = () => true, ms = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`no ${event} within ${ms}ms`));
+    }, ms);
+    function listener(payload) {
+      if (!filter(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    }
+    socket.on(event, listener);
+  });
+}
+
+/** Lets the events already sent travel both ways (real sockets, real time). */
+function settle(ms = 50) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A game server on a free port with a fake clock, in-memory storage and its own cluster hub
+ * (or one shared with other instances: `distributed` ones forward events to each other).
+ * connect() opens a client; close() stops clients and server.
+ */
+async function startServer({ instanceId = 'test', hub = createHub(), distributed = false } = {}) {
+  const clock = createFakeClock();
+  const game = createGameServer({
+    clock,
+    storage: createStorage('memory'),
+    cluster: createLocalCluster({ instanceId, hub, distributed })
+  });
+  const port = await game.start(0);
+  const clients = [];
+
+  // headers: e.g. the x-forwarded-for a proxy (or a client) would send
+  async function connect(headers) {
+    const socket = io(`http://localhost:${port}`, { transports: ['websocket'], forceNew: true, reconnection: false, extraHeaders: headers });
+    clients.push(socket);
+    await next(socket, 'connect');
+    return socket;
+  }
+
+  // creates (or joins) a room and waits for the seat's token
+  async function create(socket, code, name, settings) {
+    const token = next(socket, 'session:token');
+    socket.emit('room:create', { code, name, settings });
+    return (await token).token;
+  }
+  async function join(socket, code, name, extra = {}) {
+    const token = next(socket, 'session:token');
+    socket.emit('room:join', { code, name, ...extra });
+    return (await token).token;
+  }
+
+  async function close() {
+    for (const socket of clients) socket.disconnect();
+    await game.close();
+  }
+
+  return { game, clock, connect, create, join, close, room: code => game.rooms.get(code) };
+}
+
+module.exports = { createFakeClock, next, settle, startServer };